@@ -0,0 +1,81 @@
+/**
+ * Link settings panel
+ *
+ * Inspector controls for the item link: URL, new tab and `rel`. The
+ * runtime turns the link into an anchor over the media pane.
+ *
+ * @since 2.2.0
+ */
+
+import { __ } from '@wordpress/i18n';
+import { PanelBody, TextControl, ToggleControl } from '@wordpress/components';
+
+const NEW_TAB_REL = 'noopener';
+
+/**
+ * Inspector panel for the item link, which makes the media pane a call to
+ * action while the item is active.
+ *
+ * @param {Object}   props               - The component props
+ * @param {Object}   props.attributes    - Block attributes object
+ * @param {Function} props.setAttributes - Function to set block attributes
+ *
+ * @return {JSX.Element} The rendered panel
+ */
+export default function LinkSettingsPanel( { attributes, setAttributes } ) {
+	const opensInNewTab = attributes.linkTarget === '_blank';
+
+	// Opening in a new tab adds `noopener`, and closing it takes it away again
+	const setOpensInNewTab = ( value ) => {
+		const rel = ( attributes.linkRel || '' )
+			.split( /\s+/ )
+			.filter( ( token ) => token && token !== NEW_TAB_REL );
+
+		setAttributes( {
+			linkTarget: value ? '_blank' : undefined,
+			linkRel:
+				[ ...rel, ...( value ? [ NEW_TAB_REL ] : [] ) ].join( ' ' ) ||
+				undefined,
+		} );
+	};
+
+	return (
+		<PanelBody
+			title={ __( 'Link', 'media-accordion-item' ) }
+			initialOpen={ false }
+		>
+			<TextControl
+				type="url"
+				label={ __( 'URL', 'media-accordion-item' ) }
+				help={ __(
+					'Visitors can click the media to follow this link while the item is open. External videos stay clickable for playback and are not linked.',
+					'media-accordion-item'
+				) }
+				value={ attributes.linkUrl }
+				onChange={ ( value ) =>
+					setAttributes( { linkUrl: value.trim() } )
+				}
+			/>
+
+			{ attributes.linkUrl && (
+				<>
+					<ToggleControl
+						label={ __(
+							'Open in new tab',
+							'media-accordion-item'
+						) }
+						checked={ opensInNewTab }
+						onChange={ setOpensInNewTab }
+					/>
+					<TextControl
+						label={ __( 'Link rel', 'media-accordion-item' ) }
+						value={ attributes.linkRel || '' }
+						onChange={ ( value ) =>
+							setAttributes( { linkRel: value || undefined } )
+						}
+					/>
+				</>
+			) }
+		</PanelBody>
+	);
+}
@@ -0,0 +1,93 @@
+/**
+ * Poster image control
+ *
+ * Picks the poster shown before a video plays from the media library, for
+ * both library videos and external videos.
+ *
+ * @since 2.2.0
+ */
+
+import { __ } from '@wordpress/i18n';
+import { MediaUpload, MediaUploadCheck } from '@wordpress/block-editor';
+import { Button } from '@wordpress/components';
+
+/**
+ * Media library picker for the poster image of a video or external video.
+ *
+ * @param {Object}   props               - The component props
+ * @param {Object}   props.attributes    - Block attributes object
+ * @param {Function} props.setAttributes - Function to set block attributes
+ * @param {string}   [props.help]        - Text shown below the picker
+ *
+ * @return {JSX.Element} The rendered control
+ */
+export default function PosterImageControl( {
+	attributes,
+	setAttributes,
+	help,
+} ) {
+	return (
+		<>
+			<p>{ __( 'Poster image', 'media-accordion-item' ) }</p>
+			<MediaUploadCheck>
+				<MediaUpload
+					onSelect={ ( media ) =>
+						setAttributes( {
+							posterId: media.id,
+							posterUrl: media.sizes?.large?.url || media.url,
+						} )
+					}
+					allowedTypes={ [ 'image' ] }
+					value={ attributes.posterId }
+					render={ ( { open } ) => (
+						<div>
+							<Button
+								onClick={ open }
+								variant={
+									attributes.posterUrl ? 'link' : 'secondary'
+								}
+							>
+								{ attributes.posterUrl ? (
+									<img
+										src={ attributes.posterUrl }
+										alt={ __(
+											'Poster image',
+											'media-accordion-item'
+										) }
+										style={ {
+											maxWidth: '100%',
+											height: 'auto',
+										} }
+									/>
+								) : (
+									__(
+										'Select poster image',
+										'media-accordion-item'
+									)
+								) }
+							</Button>
+							{ attributes.posterUrl && (
+								<Button
+									onClick={ () =>
+										setAttributes( {
+											posterId: undefined,
+											posterUrl: undefined,
+										} )
+									}
+									variant="link"
+									isDestructive
+									style={ { marginLeft: '1em' } }
+								>
+									{ __( 'Remove', 'media-accordion-item' ) }
+								</Button>
+							) }
+						</div>
+					) }
+				/>
+			</MediaUploadCheck>
+			{ help && (
+				<p className="components-base-control__help">{ help }</p>
+			) }
+		</>
+	);
+}
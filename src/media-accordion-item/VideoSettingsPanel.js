@@ -0,0 +1,152 @@
+/**
+ * Video settings panel
+ *
+ * Settings for videos from the media library, which the front end plays
+ * inline: whether visitors can unmute them, the poster and caption tracks.
+ *
+ * @since 2.2.0
+ */
+
+import { __ } from '@wordpress/i18n';
+import { MediaUpload, MediaUploadCheck } from '@wordpress/block-editor';
+import {
+	PanelBody,
+	SelectControl,
+	TextControl,
+	ToggleControl,
+	Button,
+} from '@wordpress/components';
+import PosterImageControl from './PosterImageControl';
+
+/**
+ * Inspector panel for item videos: sound, poster image and text tracks.
+ *
+ * @param {Object}   props               - The component props
+ * @param {Object}   props.attributes    - Block attributes object
+ * @param {Function} props.setAttributes - Function to set block attributes
+ *
+ * @return {JSX.Element} The rendered panel
+ */
+export default function VideoSettingsPanel( { attributes, setAttributes } ) {
+	const tracks = attributes.tracks || [];
+
+	const updateTrack = ( index, changes ) => {
+		setAttributes( {
+			tracks: tracks.map( ( track, i ) =>
+				i === index ? { ...track, ...changes } : track
+			),
+		} );
+	};
+
+	const removeTrack = ( index ) => {
+		setAttributes( {
+			tracks: tracks.filter( ( track, i ) => i !== index ),
+		} );
+	};
+
+	const addTrack = ( media ) => {
+		setAttributes( {
+			tracks: [
+				...tracks,
+				{
+					src: media.url,
+					kind: 'subtitles',
+					srcLang: '',
+					label: media.title || '',
+				},
+			],
+		} );
+	};
+
+	return (
+		<PanelBody
+			title={ __( 'Video', 'media-accordion-item' ) }
+			initialOpen={ false }
+		>
+			<ToggleControl
+				label={ __( 'Allow sound', 'media-accordion-item' ) }
+				help={ __(
+					'Videos still start muted; visitors get a button to turn the sound on.',
+					'media-accordion-item'
+				) }
+				checked={ !! attributes.allowSound }
+				onChange={ ( value ) =>
+					setAttributes( { allowSound: !! value } )
+				}
+			/>
+
+			<PosterImageControl
+				attributes={ attributes }
+				setAttributes={ setAttributes }
+			/>
+
+			<p>{ __( 'Subtitles and captions', 'media-accordion-item' ) }</p>
+			{ tracks.map( ( track, index ) => (
+				<div
+					key={ track.src + index }
+					style={ {
+						marginBottom: '1em',
+						paddingBottom: '1em',
+						borderBottom: '1px solid #ddd',
+					} }
+				>
+					<TextControl
+						label={ __( 'Label', 'media-accordion-item' ) }
+						value={ track.label }
+						onChange={ ( value ) =>
+							updateTrack( index, { label: value } )
+						}
+					/>
+					<TextControl
+						label={ __(
+							'Language code (e.g. en)',
+							'media-accordion-item'
+						) }
+						value={ track.srcLang }
+						onChange={ ( value ) =>
+							updateTrack( index, { srcLang: value } )
+						}
+					/>
+					<SelectControl
+						label={ __( 'Kind', 'media-accordion-item' ) }
+						value={ track.kind }
+						options={ [
+							{
+								label: __(
+									'Subtitles',
+									'media-accordion-item'
+								),
+								value: 'subtitles',
+							},
+							{
+								label: __( 'Captions', 'media-accordion-item' ),
+								value: 'captions',
+							},
+						] }
+						onChange={ ( value ) =>
+							updateTrack( index, { kind: value } )
+						}
+					/>
+					<Button
+						onClick={ () => removeTrack( index ) }
+						variant="link"
+						isDestructive
+					>
+						{ __( 'Remove track', 'media-accordion-item' ) }
+					</Button>
+				</div>
+			) ) }
+			<MediaUploadCheck>
+				<MediaUpload
+					onSelect={ addTrack }
+					allowedTypes={ [ 'text/vtt' ] }
+					render={ ( { open } ) => (
+						<Button onClick={ open } variant="secondary">
+							{ __( 'Add VTT file', 'media-accordion-item' ) }
+						</Button>
+					) }
+				/>
+			</MediaUploadCheck>
+		</PanelBody>
+	);
+}
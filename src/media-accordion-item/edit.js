@@ -18,9 +18,22 @@ import {
 	MediaUpload,
 	MediaUploadCheck,
 	RichText,
+	store as blockEditorStore,
+	useSettings,
 } from '@wordpress/block-editor';
 
-import { PanelBody, TextControl, Button } from '@wordpress/components';
+import {
+	PanelBody,
+	FocalPointPicker,
+	SelectControl,
+	TextControl,
+	TextareaControl,
+	ToggleControl,
+	Button,
+} from '@wordpress/components';
+import { useSelect } from '@wordpress/data';
+import { useEffect, useRef, useState } from '@wordpress/element';
+import apiFetch from '@wordpress/api-fetch';
 
 /**
  * Lets webpack process CSS, SASS or SCSS files referenced in JavaScript files.
@@ -29,6 +42,15 @@ import { PanelBody, TextControl, Button } from '@wordpress/components';
  * @see https://www.npmjs.com/package/@wordpress/scripts#using-css
  */
 import './editor.scss';
+import {
+	getImageSizeAttributes,
+	getImageSizeOptions,
+	getMediaSizes,
+} from './image-sizes';
+import { parseEmbedUrl } from './embed-url';
+import VideoSettingsPanel from './VideoSettingsPanel';
+import PosterImageControl from './PosterImageControl';
+import LinkSettingsPanel from './LinkSettingsPanel';
 
 const TEMPLATE = [
 	[
@@ -44,11 +66,103 @@ const TEMPLATE = [
  * @param {Object}   props               - Block edit function props
  * @param {Object}   props.attributes    - Block attributes object
  * @param {Function} props.setAttributes - Function to set block attributes
+ * @param {Object}   props.context       - Layout of the parent accordion
  * @see https://developer.wordpress.org/block-editor/reference-guides/block-api/block-edit-save/#edit
  *
  * @return {JSX.Element} Element to render.
  */
-export default function Edit( { attributes, setAttributes } ) {
+export default function Edit( { attributes, setAttributes, context } ) {
+	const [ currentMedia, setCurrentMedia ] = useState( null );
+	const imageSizes = useSelect(
+		( select ) =>
+			select( blockEditorStore ).getSettings()?.imageSizes || [],
+		[]
+	);
+	const isImage =
+		attributes.mediaUrl && attributes.mime.startsWith( 'image/' );
+	const [ contentSize ] = useSettings( 'layout.contentSize' );
+	const mediaSizes = getMediaSizes( {
+		contentWidth: context[ 'srg/media-accordion/contentWidth' ],
+		mediaPosition: context[ 'srg/media-accordion/mediaPosition' ],
+		breakpoint: context[ 'srg/media-accordion/breakpoint' ],
+		maxWidth: contentSize,
+	} );
+	const layoutSizesRef = useRef( mediaSizes );
+
+	// Follow layout changes made while editing; opening a post leaves the
+	// saved value alone so the post doesn't count as changed
+	useEffect( () => {
+		if ( mediaSizes === layoutSizesRef.current ) {
+			return;
+		}
+
+		layoutSizesRef.current = mediaSizes;
+		if ( attributes.mediaSrcSet ) {
+			setAttributes( { mediaSizes } );
+		}
+	}, [ mediaSizes, attributes.mediaSrcSet, setAttributes ] );
+
+	// Image size attributes, with the `sizes` value to go with their srcset
+	const getImageAttributes = ( media, sizeSlug ) => {
+		const imageAttributes = getImageSizeAttributes( media, sizeSlug );
+		return {
+			...imageAttributes,
+			mediaSizes: imageAttributes.mediaSrcSet ? mediaSizes : undefined,
+		};
+	};
+
+	// Fetch media details for the image size options
+	useEffect( () => {
+		if ( attributes.mediaId && isImage ) {
+			apiFetch( {
+				path: `/wp/v2/media/${ attributes.mediaId }`,
+			} )
+				.then( ( media ) => {
+					setCurrentMedia( media );
+				} )
+				.catch( ( error ) => {
+					// eslint-disable-next-line no-console
+					console.error( 'Error fetching media details:', error );
+				} );
+		} else {
+			setCurrentMedia( null );
+		}
+	}, [ attributes.mediaId, isImage ] );
+
+	// Fetch the title of an external video through the oEmbed proxy, once
+	// per URL; blocks that already have a title start out resolved
+	const embedUrl =
+		attributes.embedProvider && attributes.embedId
+			? attributes.embedUrl
+			: '';
+	const resolvedEmbedUrl = useRef( attributes.embedTitle ? embedUrl : '' );
+
+	useEffect( () => {
+		if ( ! embedUrl || embedUrl === resolvedEmbedUrl.current ) {
+			return;
+		}
+
+		let isCurrent = true;
+		resolvedEmbedUrl.current = embedUrl;
+
+		apiFetch( {
+			path: `/oembed/1.0/proxy?url=${ encodeURIComponent( embedUrl ) }`,
+		} )
+			.then( ( embed ) => {
+				if ( isCurrent ) {
+					setAttributes( { embedTitle: embed.title || undefined } );
+				}
+			} )
+			.catch( ( error ) => {
+				// eslint-disable-next-line no-console
+				console.error( 'Error fetching embed details:', error );
+			} );
+
+		return () => {
+			isCurrent = false;
+		};
+	}, [ embedUrl, setAttributes ] );
+
 	const handleDurationChange = ( value ) => {
 		setAttributes( { duration: parseInt( value, 10 ) || 0 } );
 	};
@@ -58,15 +172,51 @@ export default function Edit( { attributes, setAttributes } ) {
 			mediaId: media.id,
 			mediaUrl: media.url,
 			mime: media.mime,
+			sizeSlug: undefined,
+			mediaWidth: undefined,
+			mediaHeight: undefined,
+			mediaSrcSet: undefined,
+			mediaSizes: undefined,
+			alt: media.type === 'image' ? media.alt || '' : '',
+			focalPoint: undefined,
+			posterId: undefined,
+			posterUrl: undefined,
+			tracks: [],
+			embedUrl: '',
+			embedProvider: undefined,
+			embedId: undefined,
+			embedTitle: undefined,
 		} );
 
+		// Default to the large size, like core image blocks
+		if ( media.type === 'image' ) {
+			setAttributes(
+				getImageAttributes(
+					media,
+					media.sizes?.large ? 'large' : 'full'
+				)
+			);
+		}
+
+		// Video dimensions let the browser reserve space before it loads
+		if ( media.type === 'video' ) {
+			setAttributes( {
+				mediaWidth: media.width || undefined,
+				mediaHeight: media.height || undefined,
+			} );
+		}
+
 		// If the media is a video, we can set the duration based on its length
+		// (`fileLength` is `m:ss` or `h:mm:ss`)
 		if ( media.fileLength ) {
-			const timeParts = media.fileLength.split( ':' );
-			const minutes = parseInt( timeParts[ 0 ], 10 ) || 0;
-			const seconds = parseInt( timeParts[ 1 ], 10 ) || 0;
-			const duration = ( minutes * 60 + seconds ) * 1000;
-			setAttributes( { duration } );
+			const seconds = media.fileLength
+				.split( ':' )
+				.reduce(
+					( total, part ) =>
+						total * 60 + ( parseInt( part, 10 ) || 0 ),
+					0
+				);
+			setAttributes( { duration: seconds * 1000 } );
 		}
 	};
 
@@ -75,9 +225,46 @@ export default function Edit( { attributes, setAttributes } ) {
 			mediaId: null,
 			mediaUrl: '',
 			mime: '',
+			sizeSlug: undefined,
+			mediaWidth: undefined,
+			mediaHeight: undefined,
+			mediaSrcSet: undefined,
+			mediaSizes: undefined,
+			alt: '',
+			focalPoint: undefined,
+			posterId: undefined,
+			posterUrl: undefined,
+			tracks: [],
 		} );
 	};
 
+	const handleEmbedUrlChange = ( value ) => {
+		const embed = parseEmbedUrl( value );
+		const isSameVideo =
+			embed?.provider === attributes.embedProvider &&
+			embed?.id === attributes.embedId;
+
+		setAttributes( {
+			embedUrl: value,
+			embedProvider: embed?.provider,
+			embedId: embed?.id,
+			// The title and poster belong to the previous video
+			...( ! isSameVideo && {
+				embedTitle: undefined,
+				posterId: undefined,
+				posterUrl: undefined,
+			} ),
+		} );
+
+		// An external video replaces the library media
+		if ( embed && attributes.mediaUrl ) {
+			handleMediaRemove();
+		}
+	};
+
+	const isVideo =
+		attributes.mediaUrl && attributes.mime.startsWith( 'video/' );
+
 	let mediaButtonContent;
 
 	if ( ! attributes.mediaUrl ) {
@@ -85,7 +272,7 @@ export default function Edit( { attributes, setAttributes } ) {
 			'Select Image or Video',
 			'media-accordion-item'
 		);
-	} else if ( attributes.mime.startsWith( 'video/' ) ) {
+	} else if ( isVideo ) {
 		mediaButtonContent = (
 			<video
 				src={ attributes.mediaUrl }
@@ -121,7 +308,27 @@ export default function Edit( { attributes, setAttributes } ) {
 						value={ attributes.duration }
 						min={ 0 }
 						onChange={ handleDurationChange }
+						help={
+							isVideo && attributes.videoTiming
+								? __(
+										'Used only if the video fails to load.',
+										'media-accordion-item'
+								  )
+								: undefined
+						}
 					/>
+					{ isVideo && (
+						<ToggleControl
+							label={ __(
+								'Advance when the video ends',
+								'media-accordion-item'
+							) }
+							checked={ !! attributes.videoTiming }
+							onChange={ ( value ) =>
+								setAttributes( { videoTiming: !! value } )
+							}
+						/>
+					) }
 					<MediaUploadCheck>
 						<MediaUpload
 							onSelect={ handleMediaSelect }
@@ -156,7 +363,111 @@ export default function Edit( { attributes, setAttributes } ) {
 							) }
 						/>
 					</MediaUploadCheck>
+					{ isImage && (
+						<TextareaControl
+							label={ __(
+								'Alternative text',
+								'media-accordion-item'
+							) }
+							help={ __(
+								'Describe the image for people who can’t see it. Leave empty if it is purely decorative.',
+								'media-accordion-item'
+							) }
+							value={ attributes.alt }
+							onChange={ ( value ) =>
+								setAttributes( { alt: value } )
+							}
+						/>
+					) }
+					{ isImage && (
+						<FocalPointPicker
+							label={ __(
+								'Focal point',
+								'media-accordion-item'
+							) }
+							help={ __(
+								'Kept in view when the image is cropped to the media pane.',
+								'media-accordion-item'
+							) }
+							url={ attributes.mediaUrl }
+							value={
+								attributes.focalPoint || { x: 0.5, y: 0.5 }
+							}
+							onChange={ ( value ) =>
+								setAttributes( { focalPoint: value } )
+							}
+						/>
+					) }
+					{ isImage && currentMedia && (
+						<SelectControl
+							label={ __(
+								'Image Resolution',
+								'media-accordion-item'
+							) }
+							value={ attributes.sizeSlug || 'full' }
+							options={ getImageSizeOptions(
+								currentMedia,
+								imageSizes
+							) }
+							onChange={ ( value ) =>
+								setAttributes(
+									getImageAttributes( currentMedia, value )
+								)
+							}
+						/>
+					) }
+					<TextareaControl
+						label={ __( 'Caption', 'media-accordion-item' ) }
+						help={ __(
+							'Shown over the media and read out when the item opens.',
+							'media-accordion-item'
+						) }
+						value={ attributes.caption }
+						onChange={ ( value ) =>
+							setAttributes( { caption: value } )
+						}
+					/>
+					<TextControl
+						label={ __(
+							'Or a YouTube or Vimeo URL',
+							'media-accordion-item'
+						) }
+						type="url"
+						value={ attributes.embedUrl }
+						onChange={ handleEmbedUrlChange }
+						help={
+							attributes.embedUrl && ! attributes.embedId
+								? __(
+										'Enter a link to a YouTube or Vimeo video.',
+										'media-accordion-item'
+								  )
+								: __(
+										'Visitors load the player by pressing play; nothing is requested from the provider before that.',
+										'media-accordion-item'
+								  )
+						}
+					/>
+					{ attributes.embedId && (
+						<PosterImageControl
+							attributes={ attributes }
+							setAttributes={ setAttributes }
+							help={ __(
+								'Shown until the video is played. Pick an image from your media library, the provider’s thumbnail is not used so that nothing loads from it early.',
+								'media-accordion-item'
+							) }
+						/>
+					) }
 				</PanelBody>
+				{ isVideo && (
+					<VideoSettingsPanel
+						attributes={ attributes }
+						setAttributes={ setAttributes }
+					/>
+				) }
+				<LinkSettingsPanel
+					attributes={ attributes }
+					setAttributes={ setAttributes }
+				/>
 			</InspectorControls>
 			<div { ...useBlockProps() }>
 				<div className="header">
@@ -0,0 +1,39 @@
+/**
+ * External video URL helpers
+ *
+ * Recognises YouTube and Vimeo links so items can play them through the
+ * front-end embed facade.
+ *
+ * @since 2.2.0
+ */
+
+const PATTERNS = [
+	{
+		provider: 'youtube',
+		pattern:
+			/^https?:\/\/(?:www\.|m\.)?(?:youtube(?:-nocookie)?\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/|live\/)|youtu\.be\/)([\w-]{11})/i,
+	},
+	{
+		provider: 'vimeo',
+		pattern:
+			/^https?:\/\/(?:www\.|player\.)?vimeo\.com\/(?:video\/|channels\/[\w-]+\/|groups\/[\w-]+\/videos\/)?(\d+)/i,
+	},
+];
+
+/**
+ * Get the provider and video ID from a YouTube or Vimeo URL
+ * @param {string} url - URL entered by the editor
+ * @return {Object|null} `provider` and `id`, or null for other URLs
+ */
+export function parseEmbedUrl( url ) {
+	const value = ( url || '' ).trim();
+
+	for ( const { provider, pattern } of PATTERNS ) {
+		const match = value.match( pattern );
+		if ( match ) {
+			return { provider, id: match[ 1 ] };
+		}
+	}
+
+	return null;
+}
@@ -0,0 +1,21 @@
+/**
+ * Focal point helpers for item images
+ *
+ * @since 2.2.0
+ */
+
+/**
+ * Turn a focal point into a CSS `object-position` value
+ * @param {Object|undefined} focalPoint - `x` and `y` between 0 and 1, from FocalPointPicker
+ * @return {string|undefined} Position such as `30% 70%`, or undefined without a focal point
+ */
+export function getFocalPointPosition( focalPoint ) {
+	if ( ! focalPoint ) {
+		return undefined;
+	}
+
+	const x = Math.round( ( Number( focalPoint.x ) || 0 ) * 100 );
+	const y = Math.round( ( Number( focalPoint.y ) || 0 ) * 100 );
+
+	return `${ x }% ${ y }%`;
+}
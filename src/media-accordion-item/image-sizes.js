@@ -0,0 +1,177 @@
+/**
+ * Image size helpers for item media
+ *
+ * Accept both attachment shapes the editor hands out: REST API media
+ * (`media_details.sizes[ slug ].source_url`) and media modal selections
+ * (`sizes[ slug ].url`).
+ *
+ * @since 2.2.0
+ */
+
+import { __ } from '@wordpress/i18n';
+import { CONFIG } from '../media-accordion/constants';
+
+// Same cap as core's `max_srcset_image_width` filter default
+const MAX_SRCSET_WIDTH = 2048;
+
+// Lengths a `sizes` value accepts as is; theme sizes such as `var()` or
+// `clamp()` values would make the whole attribute invalid
+const PLAIN_LENGTH = /^\d*\.?\d+(px|r?em|vw)$/;
+
+/**
+ * Collect the generated sizes of an image attachment
+ * @param {Object} media - Attachment from the REST API or the media modal
+ * @return {Object} Sizes keyed by slug, each with `url`, `width` and `height`
+ */
+export function getImageSizes( media ) {
+	const sizes = {};
+
+	Object.entries( media?.media_details?.sizes || {} ).forEach(
+		( [ slug, size ] ) => {
+			sizes[ slug ] = {
+				url: size.source_url,
+				width: size.width,
+				height: size.height,
+			};
+		}
+	);
+
+	Object.entries( media?.sizes || {} ).forEach( ( [ slug, size ] ) => {
+		sizes[ slug ] = sizes[ slug ] || {
+			url: size.url,
+			width: size.width,
+			height: size.height,
+		};
+	} );
+
+	if ( ! sizes.full && ( media?.source_url || media?.url ) ) {
+		sizes.full = {
+			url: media.source_url || media.url,
+			width: media.media_details?.width || media.width,
+			height: media.media_details?.height || media.height,
+		};
+	}
+
+	return sizes;
+}
+
+/**
+ * Get size options for an image, limited to the sizes it actually has
+ * @param {Object} media      - Attachment from the REST API or the media modal
+ * @param {Array}  imageSizes - Image sizes from the block editor settings
+ * @return {Array} Options for a SelectControl
+ */
+export function getImageSizeOptions( media, imageSizes ) {
+	const availableSizes = getImageSizes( media );
+
+	const options = imageSizes
+		.filter( ( size ) => availableSizes[ size.slug ] )
+		.map( ( size ) => ( {
+			label: size.name,
+			value: size.slug,
+		} ) );
+
+	// Fallback: if no sizes match, ensure at least "Full" is available
+	if ( options.length === 0 ) {
+		return [
+			{ label: __( 'Full Size', 'media-accordion-item' ), value: 'full' },
+		];
+	}
+
+	return options;
+}
+
+/**
+ * Build the saved image attributes for a size
+ *
+ * The srcset lists every generated size with the same aspect ratio as the
+ * chosen one, like core does for post content images.
+ *
+ * @param {Object} media    - Attachment from the REST API or the media modal
+ * @param {string} sizeSlug - Chosen image size
+ * @return {Object} `sizeSlug`, `mediaUrl`, `mediaWidth`, `mediaHeight` and `mediaSrcSet` attributes
+ */
+export function getImageSizeAttributes( media, sizeSlug ) {
+	const sizes = getImageSizes( media );
+	const slug = sizes[ sizeSlug ] ? sizeSlug : 'full';
+	const chosen = sizes[ slug ];
+
+	if ( ! chosen ) {
+		return {};
+	}
+
+	const attributes = {
+		sizeSlug: slug,
+		mediaUrl: chosen.url,
+		mediaWidth: chosen.width,
+		mediaHeight: chosen.height,
+		mediaSrcSet: undefined,
+	};
+
+	if ( ! chosen.width || ! chosen.height ) {
+		return attributes;
+	}
+
+	const ratio = chosen.width / chosen.height;
+	const candidates = new Map( [ [ chosen.width, chosen.url ] ] );
+
+	Object.values( sizes ).forEach( ( size ) => {
+		if (
+			size.width &&
+			size.height &&
+			size.width <= MAX_SRCSET_WIDTH &&
+			Math.abs( size.width / ratio - size.height ) <= 1 &&
+			! candidates.has( size.width )
+		) {
+			candidates.set( size.width, size.url );
+		}
+	} );
+
+	if ( candidates.size > 1 ) {
+		attributes.mediaSrcSet = Array.from( candidates )
+			.sort( ( a, b ) => a[ 0 ] - b[ 0 ] )
+			.map( ( [ width, url ] ) => `${ url } ${ width }w` )
+			.join( ', ' );
+	}
+
+	return attributes;
+}
+
+/**
+ * Build the `sizes` attribute for an item image from the accordion layout
+ *
+ * Below the breakpoint, and with the media above or below the content, the
+ * media spans the block; beside the content it gets what the content width
+ * leaves. The block is as wide as the viewport up to the theme's content
+ * size, which is the closest a static `sizes` value can get to the
+ * breakpoint on the block's own width.
+ *
+ * @param {Object} layout                 - Accordion layout
+ * @param {number} [layout.contentWidth]  - Content column width in percent
+ * @param {string} [layout.mediaPosition] - 'right', 'left', 'top' or 'bottom'
+ * @param {number} [layout.breakpoint]    - Accordion width at which the desktop layout starts
+ * @param {string} [layout.maxWidth]      - Theme content size, only used when it is a plain length
+ * @return {string} Value for the image's `sizes` attribute
+ */
+export function getMediaSizes( {
+	contentWidth = 50,
+	mediaPosition = 'right',
+	breakpoint = CONFIG.DEFAULTS.BREAKPOINT,
+	maxWidth,
+} ) {
+	const cap = PLAIN_LENGTH.test( maxWidth?.trim() || '' )
+		? maxWidth.trim()
+		: null;
+	const full = cap ? `min(100vw, ${ cap })` : '100vw';
+
+	if ( mediaPosition === 'top' || mediaPosition === 'bottom' ) {
+		return full;
+	}
+
+	const share = ( 100 - contentWidth ) / 100;
+	const side = cap
+		? `min(${ share * 100 }vw, ${ cap } * ${ share })`
+		: `${ share * 100 }vw`;
+
+	return `(max-width: ${ breakpoint - 1 }px) 100vw, ${ side }`;
+}
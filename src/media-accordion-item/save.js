@@ -5,6 +5,7 @@
  * @see https://developer.wordpress.org/block-editor/reference-guides/packages/packages-block-editor/#useblockprops
  */
 import { useBlockProps, InnerBlocks } from '@wordpress/block-editor';
+import { getFocalPointPosition } from './focal-point';
 
 /**
  * Save function for the active accordion item block.
@@ -21,33 +22,113 @@ import { useBlockProps, InnerBlocks } from '@wordpress/block-editor';
  * @see {@link https://developer.wordpress.org/block-editor/reference-guides/block-api/block-edit-save/#save}
  */
 export default function save( { attributes } ) {
+	const isVideo =
+		attributes.mediaUrl && attributes.mime.startsWith( 'video/' );
+	const isEmbed = !! ( attributes.embedProvider && attributes.embedId );
 	const blockProps = useBlockProps.save( {
 		style: { '--animation-duration': `${ attributes.duration }ms` },
+		'data-timing': isVideo && attributes.videoTiming ? 'video' : undefined,
+		'data-caption': attributes.caption || undefined,
+		'data-link-url': attributes.linkUrl || undefined,
+		'data-link-target':
+			attributes.linkUrl && attributes.linkTarget
+				? attributes.linkTarget
+				: undefined,
+		'data-link-rel':
+			attributes.linkUrl && attributes.linkRel
+				? attributes.linkRel
+				: undefined,
 	} );
 	const baseClass = blockProps.className;
 	return (
 		<div { ...blockProps }>
 			<template className="media-template">
-				{ attributes.mediaUrl &&
-					attributes.mime.startsWith( 'video/' ) && (
-						<video
-							src={ attributes.mediaUrl }
-							className={ `${ baseClass }_media-item skip-lazy` }
-							muted
-							playsInline
-							loop
-						/>
-					) }
+				{ isVideo && (
+					<video
+						src={ attributes.mediaUrl }
+						poster={ attributes.posterUrl || undefined }
+						width={ attributes.mediaWidth || undefined }
+						height={ attributes.mediaHeight || undefined }
+						className={ `${ baseClass }_media-item skip-lazy` }
+						data-sound={
+							attributes.allowSound ? 'true' : undefined
+						}
+						muted
+						playsInline
+						loop
+					>
+						{ ( attributes.tracks || [] ).map( ( track, index ) => (
+							<track
+								key={ index }
+								src={ track.src }
+								kind={ track.kind || 'subtitles' }
+								srcLang={ track.srcLang || undefined }
+								label={ track.label || undefined }
+							/>
+						) ) }
+					</video>
+				) }
 
 				{ attributes.mediaUrl &&
 					attributes.mime.startsWith( 'image/' ) && (
 						<img
 							src={ attributes.mediaUrl }
+							srcSet={ attributes.mediaSrcSet || undefined }
+							sizes={
+								( attributes.mediaSrcSet &&
+									attributes.mediaSizes ) ||
+								undefined
+							}
+							width={ attributes.mediaWidth || undefined }
+							height={ attributes.mediaHeight || undefined }
 							className={ `${ baseClass }_media-item skip-lazy` }
-							style={ { maxWidth: '100%', height: 'auto' } }
-							alt=""
+							style={ {
+								maxWidth: '100%',
+								height: 'auto',
+								objectPosition: getFocalPointPosition(
+									attributes.focalPoint
+								),
+							} }
+							alt={ attributes.alt || '' }
 						/>
 					) }
+
+				{ isEmbed && (
+					<div
+						className={ `${ baseClass }_media-item ${ baseClass }_embed` }
+						data-provider={ attributes.embedProvider }
+						data-video-id={ attributes.embedId }
+						data-title={ attributes.embedTitle || undefined }
+					>
+						{ attributes.posterUrl && (
+							<img
+								src={ attributes.posterUrl }
+								className={ `${ baseClass }_embed-poster skip-lazy` }
+								alt=""
+							/>
+						) }
+						<button
+							type="button"
+							className={ `${ baseClass }_embed-play` }
+							aria-label={
+								attributes.embedTitle
+									? `Play video: ${ attributes.embedTitle }`
+									: 'Play video'
+							}
+						>
+							<svg
+								width="24"
+								height="24"
+								viewBox="0 0 24 24"
+								role="presentation"
+								focusable="false"
+								xmlns="http://www.w3.org/2000/svg"
+							>
+								<path d="M8 5v14l11-7z"></path>
+							</svg>
+						</button>
+					</div>
+				) }
 			</template>
 			<div className={ `${ baseClass }_header` }>
 				<button className={ `${ baseClass }_header-button` }>
@@ -1,17 +1,25 @@
 import { useSelect } from '@wordpress/data';
 
+import { getFocalPointPosition } from '../media-accordion-item/focal-point';
+
 /**
  * Helper component to preview media from accordion items.
  *
  * This component displays a preview of the media from the selected accordion item,
  * or falls back to the first item with media if none is selected.
  *
- * @param {Object} props          - The component props
- * @param {string} props.clientId - The parent block's client ID
+ * @param {Object}      props             - The component props
+ * @param {string}      props.clientId    - The parent block's client ID
+ * @param {string|null} props.aspectRatio - CSS aspect ratio of the media pane, if valid
+ * @param {string}      [props.fit]       - Object fit of the media, 'cover' or 'contain'
  *
  * @return {JSX.Element} The rendered preview component
  */
-export default function MediaAccordionPreview( { clientId } ) {
+export default function MediaAccordionPreview( {
+	clientId,
+	aspectRatio,
+	fit,
+} ) {
 	const { selectedBlockId, itemBlocks } = useSelect(
 		( select ) => {
 			const { getBlock, getSelectedBlockClientId } =
@@ -31,18 +39,50 @@ export default function MediaAccordionPreview( { clientId } ) {
 		[ clientId ]
 	);
 
+	const hasMedia = ( b ) => b.attributes.mediaUrl || b.attributes.embedId;
+
 	// Find the selected block first, or fall back to the first one with media
 	let itemBlock = itemBlocks.find(
-		( b ) => b.clientId === selectedBlockId && b.attributes.mediaUrl
+		( b ) => b.clientId === selectedBlockId && hasMedia( b )
 	);
 
 	if ( ! itemBlock ) {
-		itemBlock = itemBlocks.find( ( b ) => b.attributes.mediaUrl );
+		itemBlock = itemBlocks.find( hasMedia );
 	}
 
 	if ( ! itemBlock ) {
 		return <div style={ { color: '#888' } }>No media selected</div>;
 	}
+
+	// Match the front end, where the square ratio is used for invalid ratios
+	const ratio = aspectRatio || '1 / 1';
+	const mediaStyle =
+		ratio === 'auto'
+			? { maxWidth: '100%', height: 'auto' }
+			: {
+					width: '100%',
+					aspectRatio: ratio,
+					// Without a fit the front end shows the media whole
+					objectFit: fit || 'contain',
+					objectPosition: getFocalPointPosition(
+						itemBlock.attributes.focalPoint
+					),
+			  };
+	// External videos only load on the front end, show their poster
+	if ( itemBlock.attributes.embedId ) {
+		return itemBlock.attributes.posterUrl ? (
+			<img
+				key={ itemBlock.clientId }
+				src={ itemBlock.attributes.posterUrl }
+				alt="Media preview"
+				style={ mediaStyle }
+			/>
+		) : (
+			<div style={ { color: '#888' } }>
+				{ itemBlock.attributes.embedUrl }
+			</div>
+		);
+	}
 	if (
 		itemBlock.attributes.mime &&
 		itemBlock.attributes.mime.startsWith( 'video/' )
@@ -52,7 +92,7 @@ export default function MediaAccordionPreview( { clientId } ) {
 				key={ itemBlock.clientId }
 				src={ itemBlock.attributes.mediaUrl }
 				controls
-				style={ { maxWidth: '100%', height: 'auto' } }
+				style={ mediaStyle }
 			/>
 		);
 	}
@@ -65,7 +105,7 @@ export default function MediaAccordionPreview( { clientId } ) {
 				key={ itemBlock.clientId }
 				src={ itemBlock.attributes.mediaUrl }
 				alt="Media preview"
-				style={ { maxWidth: '100%', height: 'auto' } }
+				style={ mediaStyle }
 			/>
 		);
 	}
@@ -0,0 +1,58 @@
+/**
+ * Media pane aspect ratio helpers
+ *
+ * Shared by the editor controls, the editor preview and the saved markup.
+ *
+ * @since 2.2.0
+ */
+
+import { __ } from '@wordpress/i18n';
+
+export const DEFAULT_ASPECT_RATIO = '1/1';
+
+/**
+ * Get the preset aspect ratios offered in the editor
+ * @return {Array} Options for a SelectControl, without the custom option
+ */
+export function getAspectRatioPresets() {
+	return [
+		{
+			label: __( 'Auto (size of the media)', 'media-accordion' ),
+			value: 'auto',
+		},
+		{ label: '16:9', value: '16/9' },
+		{ label: '4:3', value: '4/3' },
+		{ label: '1:1', value: '1/1' },
+	];
+}
+
+/**
+ * Turn an aspect ratio setting into a CSS `aspect-ratio` value
+ *
+ * Accepts `auto`, a single number (`1.5`) or a width/height pair (`21/9`).
+ *
+ * @param {string} value - Aspect ratio setting
+ * @return {string|null} CSS value, or null if the setting isn't a valid ratio
+ */
+export function getAspectRatioValue( value ) {
+	const ratio = ( value || '' ).trim();
+
+	if ( ratio === 'auto' ) {
+		return ratio;
+	}
+
+	const match = ratio.match(
+		/^(\d+(?:\.\d+)?)(?:\s*[/:]\s*(\d+(?:\.\d+)?))?$/
+	);
+	if ( ! match || ! parseFloat( match[ 1 ] ) ) {
+		return null;
+	}
+
+	if ( match[ 2 ] === undefined ) {
+		return match[ 1 ];
+	}
+
+	return parseFloat( match[ 2 ] )
+		? `${ match[ 1 ] } / ${ match[ 2 ] }`
+		: null;
+}
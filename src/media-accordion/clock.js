@@ -0,0 +1,93 @@
+/* global requestAnimationFrame, cancelAnimationFrame */
+
+/**
+ * @typedef {import('./media-accordion').MediaAccordion} MediaAccordion
+ */
+
+/**
+ * Accordion Clock
+ *
+ * Global requestAnimationFrame loop shared by all accordions. Accordions
+ * subscribe only while they are visible and playing, so the loop stops as
+ * soon as nothing on the page needs it.
+ *
+ * @since 2.2.0
+ */
+
+import { CONFIG } from './constants';
+
+export const AccordionClock = {
+	accordions: new Set(),
+	frameId: null,
+	lastTime: null,
+
+	/**
+	 * Subscribe an accordion to clock ticks
+	 * @param {MediaAccordion} accordion - The accordion instance
+	 */
+	add( accordion ) {
+		this.accordions.add( accordion );
+		this.start();
+	},
+
+	/**
+	 * Unsubscribe an accordion from clock ticks
+	 * @param {MediaAccordion} accordion - The accordion instance
+	 */
+	remove( accordion ) {
+		this.accordions.delete( accordion );
+
+		if ( this.accordions.size === 0 ) {
+			this.stop();
+		}
+	},
+
+	/**
+	 * Start the animation frame loop if it isn't running
+	 */
+	start() {
+		if ( this.frameId !== null ) {
+			return;
+		}
+
+		this.lastTime = null;
+		this.frameId = requestAnimationFrame( ( time ) => this.tick( time ) );
+	},
+
+	/**
+	 * Stop the animation frame loop
+	 */
+	stop() {
+		if ( this.frameId !== null ) {
+			cancelAnimationFrame( this.frameId );
+			this.frameId = null;
+		}
+	},
+
+	/**
+	 * Pass the time since the previous frame to every subscribed accordion
+	 * @param {number} time - Frame timestamp from requestAnimationFrame
+	 */
+	tick( time ) {
+		this.frameId = null;
+
+		// Clamp long gaps, e.g. when a background tab becomes active again
+		const delta =
+			this.lastTime === null
+				? 0
+				: Math.min(
+						time - this.lastTime,
+						CONFIG.DEFAULTS.MAX_FRAME_DELTA
+				  );
+		this.lastTime = time;
+
+		this.accordions.forEach( ( accordion ) => accordion.tick( delta ) );
+
+		// Subscribers may have restarted the loop from their tick already
+		if ( this.accordions.size > 0 && this.frameId === null ) {
+			this.frameId = requestAnimationFrame( ( nextTime ) =>
+				this.tick( nextTime )
+			);
+		}
+	},
+};
@@ -9,21 +9,72 @@ export const CONFIG = {
 		ACCORDION: '.wp-block-srg-media-accordion',
 		ACCORDION_ITEM: '.wp-block-srg-media-accordion-item',
 		ITEM_BUTTON: '.wp-block-srg-media-accordion-item',
+		HEADER_BUTTON: '.wp-block-srg-media-accordion-item_header-button',
+		ITEM_CONTENT: '.wp-block-srg-media-accordion-item_content',
+		ITEM_CONTENT_WRAP: '.wp-block-srg-media-accordion-item_content-wrap',
+		ITEM_HEADER: '.wp-block-srg-media-accordion-item_header',
 		MEDIA_CONTAINER: '.wp-block-srg-media-accordion_media-wrap',
 		MEDIA_TEMPLATE: '.media-template',
+		EMBED: '.wp-block-srg-media-accordion-item_embed',
+		EMBED_PLAY_BUTTON: '.wp-block-srg-media-accordion-item_embed-play',
 		PAUSE_BUTTON: '.wp-block-srg-media-accordion_pause-btn',
+		PREV_BUTTON: '.wp-block-srg-media-accordion_nav-btn--prev',
+		NEXT_BUTTON: '.wp-block-srg-media-accordion_nav-btn--next',
 		CONTENT_CONTAINER: '.wp-block-srg-media-accordion_content-container',
+		// Elements in item content that handle their own clicks
+		INTERACTIVE:
+			'a[href], button, input, select, textarea, label, summary, iframe, audio, video[controls], [contenteditable="true"], [tabindex]',
 		ACTIVE_CLASS: 'active',
 		PAUSED_CLASS: 'wp-block-srg-media-accordion-item--paused',
+		VIDEO_TIMED_CLASS: 'wp-block-srg-media-accordion-item--video-timed',
+		DRAGGING_CLASS: 'wp-block-srg-media-accordion_media-wrap--dragging',
+		LEAVING_CLASS: 'is-leaving',
+		SOUND_BUTTON_CLASS: 'wp-block-srg-media-accordion_sound-btn',
+		CAPTION_CLASS: 'wp-block-srg-media-accordion_caption',
+		MEDIA_LINK_CLASS: 'wp-block-srg-media-accordion_media-link',
+		EXPAND_BUTTON_CLASS: 'wp-block-srg-media-accordion_expand-btn',
+		LIGHTBOX_CLASS: 'wp-block-srg-media-accordion_lightbox',
+		STRIP_MEDIA_CLASS: 'wp-block-srg-media-accordion-item_strip-media',
+		STRIP_LAYOUT_CLASS: 'is-layout-3',
+		INLINE_MEDIA_CLASS: 'wp-block-srg-media-accordion-item_inline-media',
 	},
 	DEFAULTS: {
 		ANIMATION_DURATION: 5000, // 5 seconds fallback
 		CSS_DURATION_VAR: '--animation-duration',
+		CSS_PROGRESS_VAR: '--progress',
+		CSS_TRANSITION_VAR: '--transition-duration',
+		TRANSITION: 'crossfade', // crossfade | slide | zoom | ken-burns | none
+		TRANSITION_DURATION: 500,
+		MAX_FRAME_DELTA: 100, // Longest step the shared clock takes at once
 		SLIDER_SPACING: 20,
 		RESIZE_DEBOUNCE: 500,
+		MEDIA_READY_TIMEOUT: 3000, // Longest wait for incoming media before switching anyway
+		BREAKPOINT: 768, // Accordion width in pixels below which it becomes a slider
+		MOBILE_BEHAVIOR: 'carousel', // carousel | stacked | expanded
+		SLIDER_NAVIGATION: 'dots', // Any of dots, arrows, thumbnails and counter
+		HOVER_DELAY: 150, // Hover-intent delay before a hovered item opens
+		SCROLL_TRIGGER_LINE: 0.5, // Viewport height fraction where scroll-driven items switch
+		SCRUB_TOLERANCE: 0.05, // Seconds a scrubbed video may drift before seeking
+		UID_PREFIX: 'accordion-',
+		LOOP_MODE: 'loop', // loop | stop | default-media | cycles | shuffle
+		SWIPE_THRESHOLD: 50, // Horizontal pixels needed to change item
+		SWIPE_LOCK_DISTANCE: 10, // Pixels moved before the swipe direction is decided
+	},
+	EVENTS: {
+		INIT: 'mediaaccordion:init',
+		CHANGE: 'mediaaccordion:change',
+		PAUSE: 'mediaaccordion:pause',
+		RESUME: 'mediaaccordion:resume',
+		CYCLE: 'mediaaccordion:cycle',
+		DESTROY: 'mediaaccordion:destroy',
 	},
 	ICONS: {
 		PLAY: '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" role="presentation" focusable="false" xmlns="http://www.w3.org/2000/svg"><path d="M8 20L20 12L8 4L8 20Z" fill="#ffffffff"></path></svg>',
 		PAUSE: '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" role="presentation" focusable="false" xmlns="http://www.w3.org/2000/svg"><path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z" fill="#ffffffff"></path></svg>',
+		SOUND_ON:
+			'<svg width="24" height="24" viewBox="0 0 24 24" fill="none" role="presentation" focusable="false" xmlns="http://www.w3.org/2000/svg"><path d="M4 9v6h4l5 4V5L8 9H4zm12.5 3a4.5 4.5 0 0 0-2.5-4v8a4.5 4.5 0 0 0 2.5-4zM14 3.2v2.1a7 7 0 0 1 0 13.4v2.1a9 9 0 0 0 0-17.6z" fill="#ffffffff"></path></svg>',
+		SOUND_OFF:
+			'<svg width="24" height="24" viewBox="0 0 24 24" fill="none" role="presentation" focusable="false" xmlns="http://www.w3.org/2000/svg"><path d="M4 9v6h4l5 4V5L8 9H4zm16.6.4L19.2 8 17 10.2 14.8 8l-1.4 1.4 2.2 2.2-2.2 2.2 1.4 1.4 2.2-2.2 2.2 2.2 1.4-1.4-2.2-2.2z" fill="#ffffffff"></path></svg>',
+		EXPAND: '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" role="presentation" focusable="false" xmlns="http://www.w3.org/2000/svg"><path d="M4 4h6v2H6v4H4V4zm10 0h6v6h-2V6h-4V4zM4 14h2v4h4v2H4v-6zm14 0h2v6h-6v-2h4v-4z" fill="#ffffffff"></path></svg>',
 	},
 };
@@ -18,7 +18,10 @@ import {
 	PanelBody,
 	ToggleControl,
 	RadioControl,
+	RangeControl,
 	SelectControl,
+	TextControl,
+	TextareaControl,
 } from '@wordpress/components';
 import { createBlock } from '@wordpress/blocks';
 import { useDispatch, useSelect } from '@wordpress/data';
@@ -33,10 +36,33 @@ import apiFetch from '@wordpress/api-fetch';
  */
 import './editor.scss';
 import MediaAccordionPreview from './MediaAccordionPreview';
+import { CONFIG } from './constants';
+import {
+	DEFAULT_ASPECT_RATIO,
+	getAspectRatioPresets,
+	getAspectRatioValue,
+} from './aspect-ratio';
 
 const ALLOWED_BLOCKS = [ 'srg/media-accordion-item' ];
 const TEMPLATE = [ [ 'srg/media-accordion-item' ] ];
 
+// Editor canvas arrangement for each media position and vertical alignment
+const CANVAS_DIRECTIONS = {
+	right: 'row',
+	left: 'row-reverse',
+	top: 'column-reverse',
+	bottom: 'column',
+};
+const CANVAS_ALIGNMENTS = {
+	top: 'flex-start',
+	center: 'center',
+	bottom: 'flex-end',
+};
+
+// The uid each accordion has kept, by client ID, so that of two blocks with
+// the same uid the one that was there first keeps it
+const keptUids = new Map();
+
 /**
  * Edit component for the media accordion block.
  *
@@ -55,6 +81,20 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 	const { insertBlock } = useDispatch( 'core/block-editor' );
 	const lastActiveBlockRef = useRef( null );
 	const [ currentMedia, setCurrentMedia ] = useState( null );
+	// The list layout activated on hover before this was a setting
+	const activateOn =
+		attributes.activateOn ||
+		( attributes.layout === 'layout-2' ? 'hover' : 'click' );
+	const mediaPosition = attributes.mediaPosition || 'right';
+	const isStacked = mediaPosition === 'top' || mediaPosition === 'bottom';
+	const aspectRatioPresets = getAspectRatioPresets();
+	const [ isCustomRatio, setIsCustomRatio ] = useState(
+		! aspectRatioPresets.some(
+			( preset ) =>
+				preset.value ===
+				( attributes.mediaAspectRatio || DEFAULT_ASPECT_RATIO )
+		)
+	);
 
 	// Get inner blocks and selected block
 	const { innerBlocks, selectedBlockClientId, imageSizes } = useSelect(
@@ -132,14 +172,63 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 		} );
 	}, [ innerBlocks, selectedBlockClientId ] );
 
-	// Generate unique ID if it doesn't exist
+	// Accordions in this editor with the same uid, in tree order. Synced
+	// patterns repeat their content on purpose, so they are left alone.
+	const { uid } = attributes;
+	const sameUidBlocks = useSelect(
+		( select ) => {
+			if ( ! uid ) {
+				return '';
+			}
+
+			const {
+				getBlocksByName,
+				getBlockAttributes,
+				getBlockParentsByBlockName,
+			} = select( blockEditorStore );
+			const isSynced = ( id ) =>
+				getBlockParentsByBlockName( id, 'core/block' ).length > 0;
+
+			if ( isSynced( clientId ) ) {
+				return '';
+			}
+
+			return getBlocksByName( 'srg/media-accordion' )
+				.filter(
+					( id ) =>
+						getBlockAttributes( id )?.uid === uid &&
+						! isSynced( id )
+				)
+				.join( ' ' );
+		},
+		[ uid, clientId ]
+	);
+
+	// Generate unique ID if it doesn't exist or belongs to another block,
+	// which is the case for pasted and duplicated blocks. The block that
+	// already kept the uid wins, or the first one when the editor loads
+	// content that repeats a uid.
 	useEffect( () => {
-		if ( ! attributes.uid ) {
+		if ( keptUids.get( clientId ) === uid ) {
+			return;
+		}
+
+		const others = sameUidBlocks
+			.split( ' ' )
+			.filter( ( id ) => id && id !== clientId );
+		const isCopy =
+			others.some( ( id ) => keptUids.get( id ) === uid ) ||
+			( others.length > 0 && ! sameUidBlocks.startsWith( clientId ) );
+
+		if ( ! uid || isCopy ) {
 			setAttributes( {
 				uid: `accordion-${ clientId.substring( 0, 8 ) }`,
 			} );
+			return;
 		}
-	}, [ attributes.uid, clientId, setAttributes ] );
+
+		keptUids.set( clientId, uid );
+	}, [ uid, sameUidBlocks, clientId, setAttributes ] );
 
 	// Fetch media details when defaultMediaId changes
 	useEffect( () => {
@@ -227,7 +316,605 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 								label: __( 'List', 'media-accordion' ),
 								value: 'layout-2',
 							},
+							{
+								label: __(
+									'Expanding panels',
+									'media-accordion'
+								),
+								value: 'layout-3',
+							},
+						] }
+					/>
+
+					<SelectControl
+						label={ __( 'Activate on', 'media-accordion' ) }
+						help={ __(
+							'Clicks always open an item. Below the breakpoint items are changed by swiping or tapping.',
+							'media-accordion'
+						) }
+						value={ activateOn }
+						options={ [
+							{
+								label: __( 'Click', 'media-accordion' ),
+								value: 'click',
+							},
+							{
+								label: __( 'Hover', 'media-accordion' ),
+								value: 'hover',
+							},
+							{
+								label: __(
+									'Keyboard focus',
+									'media-accordion'
+								),
+								value: 'focus',
+							},
+						] }
+						onChange={ ( value ) =>
+							setAttributes( { activateOn: value } )
+						}
+					/>
+
+					{ activateOn === 'hover' && (
+						<RangeControl
+							label={ __(
+								'Hover delay (ms)',
+								'media-accordion'
+							) }
+							help={ __(
+								'How long the pointer has to rest on an item before it opens.',
+								'media-accordion'
+							) }
+							value={ attributes.hoverDelay }
+							initialPosition={ CONFIG.DEFAULTS.HOVER_DELAY }
+							min={ 0 }
+							max={ 1000 }
+							step={ 50 }
+							allowReset
+							onChange={ ( value ) =>
+								setAttributes( { hoverDelay: value } )
+							}
+						/>
+					) }
+
+					{ activateOn === 'hover' && (
+						<SelectControl
+							label={ __(
+								'When the pointer leaves',
+								'media-accordion'
+							) }
+							value={ attributes.leaveBehavior || 'stay' }
+							options={ [
+								{
+									label: __(
+										'Keep the hovered item open',
+										'media-accordion'
+									),
+									value: 'stay',
+								},
+								{
+									label: __(
+										'Go back to what was shown before',
+										'media-accordion'
+									),
+									value: 'previous',
+								},
+								{
+									label: __(
+										'Show the default media',
+										'media-accordion'
+									),
+									value: 'default-media',
+								},
+							] }
+							onChange={ ( value ) =>
+								setAttributes( { leaveBehavior: value } )
+							}
+						/>
+					) }
+
+					<RangeControl
+						label={ __(
+							'Switch to a slider below (px)',
+							'media-accordion'
+						) }
+						help={ __(
+							'Compared with the width of this block, not the screen.',
+							'media-accordion'
+						) }
+						value={ attributes.breakpoint }
+						initialPosition={ CONFIG.DEFAULTS.BREAKPOINT }
+						min={ 320 }
+						max={ 1600 }
+						step={ 10 }
+						allowReset
+						onChange={ ( value ) =>
+							setAttributes( { breakpoint: value } )
+						}
+					/>
+
+					<SelectControl
+						label={ __( 'Mobile behavior', 'media-accordion' ) }
+						help={ __(
+							'How the items are shown below the breakpoint.',
+							'media-accordion'
+						) }
+						value={ attributes.mobileBehavior || 'carousel' }
+						options={ [
+							{
+								label: __( 'Carousel', 'media-accordion' ),
+								value: 'carousel',
+							},
+							{
+								label: __(
+									'Accordion with media in the open item',
+									'media-accordion'
+								),
+								value: 'stacked',
+							},
+							{
+								label: __(
+									'All items open with their media',
+									'media-accordion'
+								),
+								value: 'expanded',
+							},
+						] }
+						onChange={ ( value ) =>
+							setAttributes( { mobileBehavior: value } )
+						}
+					/>
+
+					{ ( attributes.mobileBehavior || 'carousel' ) ===
+						'carousel' && (
+						<fieldset>
+							<legend>
+								{ __(
+									'Carousel navigation',
+									'media-accordion'
+								) }
+							</legend>
+							<ToggleControl
+								label={ __( 'Dots', 'media-accordion' ) }
+								checked={ !! attributes.sliderDots }
+								onChange={ ( value ) =>
+									setAttributes( { sliderDots: !! value } )
+								}
+							/>
+							<ToggleControl
+								label={ __(
+									'Previous and next arrows',
+									'media-accordion'
+								) }
+								checked={ !! attributes.sliderArrows }
+								onChange={ ( value ) =>
+									setAttributes( { sliderArrows: !! value } )
+								}
+							/>
+							<ToggleControl
+								label={ __( 'Thumbnails', 'media-accordion' ) }
+								checked={ !! attributes.sliderThumbnails }
+								onChange={ ( value ) =>
+									setAttributes( {
+										sliderThumbnails: !! value,
+									} )
+								}
+							/>
+							<ToggleControl
+								label={ __(
+									'Counter (N / total)',
+									'media-accordion'
+								) }
+								checked={ !! attributes.sliderCounter }
+								onChange={ ( value ) =>
+									setAttributes( { sliderCounter: !! value } )
+								}
+							/>
+						</fieldset>
+					) }
+
+					<ToggleControl
+						label={ __( 'Deep linking', 'media-accordion' ) }
+						help={ __(
+							'Update the page URL when a visitor selects an item, so the link opens that item.',
+							'media-accordion'
+						) }
+						checked={ !! attributes.deepLinking }
+						onChange={ ( value ) =>
+							setAttributes( { deepLinking: !! value } )
+						}
+					/>
+
+					<ToggleControl
+						label={ __(
+							'Scroll into view when opened from a link',
+							'media-accordion'
+						) }
+						checked={ !! attributes.deepLinkScroll }
+						onChange={ ( value ) =>
+							setAttributes( { deepLinkScroll: !! value } )
+						}
+					/>
+				</PanelBody>
+
+				<PanelBody
+					title={ __( 'Playback', 'media-accordion' ) }
+					initialOpen={ false }
+				>
+					{ attributes.layout !== 'layout-3' && (
+						<ToggleControl
+							label={ __(
+								'Follow page scroll',
+								'media-accordion'
+							) }
+							help={ __(
+								'The media stays in view while visitors scroll, and each item opens as its title reaches the middle of the screen. Below the breakpoint the usual mobile behavior applies.',
+								'media-accordion'
+							) }
+							checked={ !! attributes.scrollDriven }
+							onChange={ ( value ) =>
+								setAttributes( { scrollDriven: !! value } )
+							}
+						/>
+					) }
+
+					{ attributes.layout !== 'layout-3' &&
+						attributes.scrollDriven && (
+							<ToggleControl
+								label={ __(
+									'Scrub videos with scroll',
+									'media-accordion'
+								) }
+								help={ __(
+									'Videos follow the scroll position through their item instead of playing.',
+									'media-accordion'
+								) }
+								checked={ !! attributes.scrollScrub }
+								onChange={ ( value ) =>
+									setAttributes( { scrollScrub: !! value } )
+								}
+							/>
+						) }
+
+					{ attributes.autoplay && (
+						<SelectControl
+							label={ __(
+								'When the last item ends',
+								'media-accordion'
+							) }
+							value={ attributes.loopMode || 'loop' }
+							options={ [
+								{
+									label: __(
+										'Loop forever',
+										'media-accordion'
+									),
+									value: 'loop',
+								},
+								{
+									label: __(
+										'Stop on the last item',
+										'media-accordion'
+									),
+									value: 'stop',
+								},
+								{
+									label: __(
+										'Return to the default media',
+										'media-accordion'
+									),
+									value: 'default-media',
+								},
+								{
+									label: __(
+										'Stop after a number of cycles',
+										'media-accordion'
+									),
+									value: 'cycles',
+								},
+								{
+									label: __(
+										'Shuffle forever',
+										'media-accordion'
+									),
+									value: 'shuffle',
+								},
+							] }
+							help={
+								attributes.loopMode === 'default-media' &&
+								! attributes.defaultMediaId
+									? __(
+											'No default media is set, so autoplay stops on the last item.',
+											'media-accordion'
+									  )
+									: undefined
+							}
+							onChange={ ( value ) =>
+								setAttributes( { loopMode: value } )
+							}
+						/>
+					) }
+
+					{ attributes.autoplay &&
+						attributes.loopMode === 'cycles' && (
+							<RangeControl
+								label={ __( 'Cycles', 'media-accordion' ) }
+								value={ attributes.loopCount }
+								min={ 1 }
+								max={ 20 }
+								onChange={ ( value ) =>
+									setAttributes( { loopCount: value || 1 } )
+								}
+							/>
+						) }
+
+					<SelectControl
+						label={ __( 'Transition', 'media-accordion' ) }
+						value={ attributes.transition || 'crossfade' }
+						options={ [
+							{
+								label: __( 'Crossfade', 'media-accordion' ),
+								value: 'crossfade',
+							},
+							{
+								label: __( 'Slide', 'media-accordion' ),
+								value: 'slide',
+							},
+							{
+								label: __( 'Zoom', 'media-accordion' ),
+								value: 'zoom',
+							},
+							{
+								label: __(
+									'Ken Burns (images)',
+									'media-accordion'
+								),
+								value: 'ken-burns',
+							},
+							{
+								label: __( 'None', 'media-accordion' ),
+								value: 'none',
+							},
 						] }
+						onChange={ ( value ) =>
+							setAttributes( { transition: value } )
+						}
+					/>
+
+					{ attributes.transition !== 'none' && (
+						<RangeControl
+							label={ __(
+								'Transition duration (ms)',
+								'media-accordion'
+							) }
+							value={ attributes.transitionDuration }
+							min={ 100 }
+							max={ 3000 }
+							step={ 50 }
+							onChange={ ( value ) =>
+								setAttributes( {
+									transitionDuration:
+										value ||
+										CONFIG.DEFAULTS.TRANSITION_DURATION,
+								} )
+							}
+						/>
+					) }
+
+					<ToggleControl
+						label={ __(
+							'Previous/next buttons',
+							'media-accordion'
+						) }
+						checked={ !! attributes.showNavButtons }
+						onChange={ ( value ) =>
+							setAttributes( { showNavButtons: !! value } )
+						}
+					/>
+
+					{ attributes.showNavButtons && (
+						<SelectControl
+							label={ __( 'Button position', 'media-accordion' ) }
+							value={ attributes.navButtonsPosition || 'sides' }
+							options={ [
+								{
+									label: __(
+										'Sides of the media',
+										'media-accordion'
+									),
+									value: 'sides',
+								},
+								{
+									label: __(
+										'Next to the pause button',
+										'media-accordion'
+									),
+									value: 'controls',
+								},
+							] }
+							onChange={ ( value ) =>
+								setAttributes( { navButtonsPosition: value } )
+							}
+						/>
+					) }
+				</PanelBody>
+
+				<PanelBody
+					title={ __( 'Media Display', 'media-accordion' ) }
+					initialOpen={ false }
+				>
+					<SelectControl
+						label={ __( 'Media position', 'media-accordion' ) }
+						help={ __(
+							'Where the media sits next to the items on wide screens.',
+							'media-accordion'
+						) }
+						value={ mediaPosition }
+						options={ [
+							{
+								label: __( 'Right', 'media-accordion' ),
+								value: 'right',
+							},
+							{
+								label: __( 'Left', 'media-accordion' ),
+								value: 'left',
+							},
+							{
+								label: __( 'Top', 'media-accordion' ),
+								value: 'top',
+							},
+							{
+								label: __( 'Bottom', 'media-accordion' ),
+								value: 'bottom',
+							},
+						] }
+						onChange={ ( value ) =>
+							setAttributes( { mediaPosition: value } )
+						}
+					/>
+
+					{ ! isStacked && (
+						<RangeControl
+							label={ __(
+								'Content width (%)',
+								'media-accordion'
+							) }
+							help={ __(
+								'The media takes the rest of the width.',
+								'media-accordion'
+							) }
+							value={ attributes.contentWidth }
+							min={ 20 }
+							max={ 80 }
+							step={ 5 }
+							onChange={ ( value ) =>
+								setAttributes( { contentWidth: value ?? 50 } )
+							}
+						/>
+					) }
+
+					{ ! isStacked && (
+						<SelectControl
+							label={ __(
+								'Vertical alignment',
+								'media-accordion'
+							) }
+							value={ attributes.verticalAlignment || 'center' }
+							options={ [
+								{
+									label: __( 'Top', 'media-accordion' ),
+									value: 'top',
+								},
+								{
+									label: __( 'Center', 'media-accordion' ),
+									value: 'center',
+								},
+								{
+									label: __( 'Bottom', 'media-accordion' ),
+									value: 'bottom',
+								},
+							] }
+							onChange={ ( value ) =>
+								setAttributes( { verticalAlignment: value } )
+							}
+						/>
+					) }
+
+					<SelectControl
+						label={ __( 'Aspect ratio', 'media-accordion' ) }
+						help={ __(
+							'A fixed ratio keeps the layout steady when items mix portrait and landscape media.',
+							'media-accordion'
+						) }
+						value={
+							isCustomRatio
+								? 'custom'
+								: attributes.mediaAspectRatio ||
+								  DEFAULT_ASPECT_RATIO
+						}
+						options={ [
+							...aspectRatioPresets,
+							{
+								label: __( 'Custom', 'media-accordion' ),
+								value: 'custom',
+							},
+						] }
+						onChange={ ( value ) => {
+							setIsCustomRatio( value === 'custom' );
+							if ( value !== 'custom' ) {
+								setAttributes( { mediaAspectRatio: value } );
+							}
+						} }
+					/>
+
+					{ isCustomRatio && (
+						<TextControl
+							label={ __(
+								'Custom aspect ratio',
+								'media-accordion'
+							) }
+							help={
+								getAspectRatioValue(
+									attributes.mediaAspectRatio
+								)
+									? __(
+											'Width and height, such as 21/9.',
+											'media-accordion'
+									  )
+									: __(
+											'Enter width and height, such as 21/9. Until then the square ratio is used.',
+											'media-accordion'
+									  )
+							}
+							value={ attributes.mediaAspectRatio }
+							onChange={ ( value ) =>
+								setAttributes( { mediaAspectRatio: value } )
+							}
+						/>
+					) }
+
+					<SelectControl
+						label={ __( 'Media fit', 'media-accordion' ) }
+						value={ attributes.mediaFit || '' }
+						options={ [
+							{
+								label: __(
+									'Default (natural size)',
+									'media-accordion'
+								),
+								value: '',
+							},
+							{
+								label: __(
+									'Cover (crop to fill)',
+									'media-accordion'
+								),
+								value: 'cover',
+							},
+							{
+								label: __(
+									'Contain (show all of it)',
+									'media-accordion'
+								),
+								value: 'contain',
+							},
+						] }
+						disabled={ attributes.mediaAspectRatio === 'auto' }
+						onChange={ ( value ) =>
+							setAttributes( { mediaFit: value || undefined } )
+						}
+					/>
+
+					<ToggleControl
+						label={ __( 'Full size view', 'media-accordion' ) }
+						help={ __(
+							'Add a button next to the pause button that opens the media full size. Videos play fullscreen.',
+							'media-accordion'
+						) }
+						checked={ !! attributes.lightbox }
+						onChange={ ( value ) =>
+							setAttributes( { lightbox: !! value } )
+						}
 					/>
 				</PanelBody>
 
@@ -261,21 +948,26 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 											: 'full';
 									}
 
-									// Get the correct URL based on the size
-									let mediaUrl = media.url;
+									// Get the correct URL and dimensions based on the size
+									let size = media;
 									if (
 										isImage &&
 										sizeSlug !== 'full' &&
 										media.sizes?.[ sizeSlug ]
 									) {
-										mediaUrl = media.sizes[ sizeSlug ].url;
+										size = media.sizes[ sizeSlug ];
 									}
 
 									setAttributes( {
 										defaultMediaId: media.id,
-										defaultMediaUrl: mediaUrl,
+										defaultMediaUrl: size.url,
+										defaultMediaWidth: size.width,
+										defaultMediaHeight: size.height,
 										defaultMediaType: media.type,
 										defaultMediaSizeSlug: sizeSlug,
+										defaultMediaAlt: isImage
+											? media.alt || ''
+											: '',
 									} );
 
 									// Store the full media object for size filtering
@@ -315,6 +1007,9 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 										defaultMediaUrl: undefined,
 										defaultMediaType: undefined,
 										defaultMediaSizeSlug: undefined,
+										defaultMediaAlt: '',
+										defaultMediaWidth: undefined,
+										defaultMediaHeight: undefined,
 									} );
 									setCurrentMedia( null );
 								} }
@@ -376,6 +1071,24 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 							</div>
 						) }
 
+					{ attributes.defaultMediaId &&
+						attributes.defaultMediaType === 'image' && (
+							<TextareaControl
+								label={ __(
+									'Alternative text',
+									'media-accordion'
+								) }
+								help={ __(
+									'Describe the image for people who can’t see it. Leave empty if it is purely decorative.',
+									'media-accordion'
+								) }
+								value={ attributes.defaultMediaAlt }
+								onChange={ ( value ) =>
+									setAttributes( { defaultMediaAlt: value } )
+								}
+							/>
+						) }
+
 					{ attributes.defaultMediaId &&
 						attributes.defaultMediaType === 'image' && (
 							<SelectControl
@@ -392,23 +1105,28 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 										defaultMediaSizeSlug: value,
 									} );
 
-									// Get the URL for the selected size
+									// Get the URL and dimensions for the selected size
 									if ( currentMedia ) {
+										const details =
+											currentMedia.media_details || {};
 										let newUrl = currentMedia.source_url; // Default to full size
+										let { width, height } = details;
 
 										if (
 											value !== 'full' &&
-											currentMedia.media_details?.sizes?.[
-												value
-											]
+											details.sizes?.[ value ]
 										) {
 											newUrl =
-												currentMedia.media_details
-													.sizes[ value ].source_url;
+												details.sizes[ value ]
+													.source_url;
+											( { width, height } =
+												details.sizes[ value ] );
 										}
 
 										setAttributes( {
 											defaultMediaUrl: newUrl,
+											defaultMediaWidth: width,
+											defaultMediaHeight: height,
 										} );
 									}
 								} }
@@ -440,8 +1158,28 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 					},
 				} ) }
 			>
-				<div style={ { display: 'flex', gap: '20px' } }>
-					<div style={ { flex: '1' } }>
+				<div
+					style={ {
+						display: 'flex',
+						flexDirection: CANVAS_DIRECTIONS[ mediaPosition ],
+						alignItems: isStacked
+							? 'stretch'
+							: CANVAS_ALIGNMENTS[
+									attributes.verticalAlignment || 'center'
+							  ],
+						gap: '20px',
+					} }
+				>
+					<div
+						style={
+							isStacked
+								? undefined
+								: {
+										flex: `0 0 calc(${ attributes.contentWidth }% - 10px)`,
+										minWidth: 0,
+								  }
+						}
+					>
 						<InnerBlocks
 							allowedBlocks={ ALLOWED_BLOCKS }
 							template={ TEMPLATE }
@@ -461,15 +1199,15 @@ export default function Edit( { attributes, setAttributes, clientId } ) {
 							{ __( 'Add Item', 'media-accordion' ) }
 						</Button>
 					</div>
-					<div
-						style={ {
-							flex: 1,
-							minWidth: '300px',
-							maxWidth: '500px',
-						} }
-					>
+					<div style={ { flex: 1, minWidth: 0 } }>
 						{ /* Show media preview from first media-accordion-item */ }
-						<MediaAccordionPreview clientId={ clientId } />
+						<MediaAccordionPreview
+							clientId={ clientId }
+							aspectRatio={ getAspectRatioValue(
+								attributes.mediaAspectRatio
+							) }
+							fit={ attributes.mediaFit }
+						/>
 					</div>
 				</div>
 			</div>
@@ -0,0 +1,248 @@
+/**
+ * Embed Player
+ *
+ * Privacy-friendly facade for YouTube and Vimeo items. Nothing is loaded
+ * from the provider until the visitor presses play; after that the
+ * provider's iframe player API is driven over postMessage, so the accordion
+ * can play, pause and follow the video like a native `<video>`.
+ *
+ * @since 2.2.0
+ */
+
+import { CONFIG } from './constants';
+
+/**
+ * Parse a postMessage payload, which providers send as JSON strings
+ * @param {*} data - Message data
+ * @return {Object|null} Parsed message, or null if it isn't JSON
+ */
+function parseMessage( data ) {
+	if ( typeof data !== 'string' ) {
+		return data && typeof data === 'object' ? data : null;
+	}
+
+	try {
+		return JSON.parse( data );
+	} catch ( error ) {
+		return null;
+	}
+}
+
+const PROVIDERS = {
+	youtube: {
+		origin: 'https://www.youtube-nocookie.com',
+
+		getSrc( id ) {
+			const params = new URLSearchParams( {
+				enablejsapi: 1,
+				autoplay: 1,
+				playsinline: 1,
+				rel: 0,
+				origin: window.location.origin,
+			} );
+			return `${ this.origin }/embed/${ encodeURIComponent(
+				id
+			) }?${ params }`;
+		},
+
+		command: ( name ) => ( {
+			event: 'command',
+			func: name === 'play' ? 'playVideo' : 'pauseVideo',
+			args: [],
+		} ),
+
+		// The player only reports state once it knows someone listens
+		onLoad: ( post ) => post( { event: 'listening', channel: 'widget' } ),
+
+		onMessage( message, state ) {
+			const info = message.info;
+
+			if ( message.event === 'onStateChange' ) {
+				state.ended = info === 0;
+			} else if ( info && typeof info === 'object' ) {
+				state.currentTime = info.currentTime ?? state.currentTime;
+				state.duration = info.duration ?? state.duration;
+				if ( info.playerState !== undefined ) {
+					state.ended = info.playerState === 0;
+				}
+			}
+		},
+	},
+
+	vimeo: {
+		origin: 'https://player.vimeo.com',
+
+		getSrc( id ) {
+			const params = new URLSearchParams( {
+				dnt: 1,
+				autoplay: 1,
+				playsinline: 1,
+			} );
+			return `${ this.origin }/video/${ encodeURIComponent(
+				id
+			) }?${ params }`;
+		},
+
+		command: ( name ) => ( { method: name } ),
+
+		onLoad: () => {},
+
+		onMessage( message, state, post ) {
+			if ( message.event === 'ready' ) {
+				post( { method: 'addEventListener', value: 'timeupdate' } );
+				post( { method: 'addEventListener', value: 'ended' } );
+			} else if ( message.event === 'timeupdate' && message.data ) {
+				state.currentTime = message.data.seconds;
+				state.duration = message.data.duration;
+				state.ended = false;
+			} else if ( message.event === 'ended' ) {
+				state.ended = true;
+			}
+		},
+	},
+};
+
+/**
+ * Creates a player for an embed facade.
+ *
+ * The returned player has `currentTime` and `duration` in seconds, like a
+ * native video, so the accordion's video timing can read it directly.
+ *
+ * @param {HTMLElement} element           - Facade element with `data-provider` and `data-video-id`
+ * @param {Object}      callbacks         - Player callbacks
+ * @param {Function}    callbacks.onStart - Called when the visitor starts the video
+ * @param {Function}    callbacks.onEnd   - Called when the provider reports the end of playback
+ *
+ * @return {Object|null} Player with `load()`, `play()`, `pause()` and `destroy()` methods, or null for unknown providers
+ *
+ * @example
+ * const player = createEmbedPlayer( facade, {
+ *     onStart: () => {},
+ *     onEnd: () => {},
+ * } );
+ * player.pause();
+ * player.destroy();
+ */
+export function createEmbedPlayer( element, callbacks ) {
+	const provider = PROVIDERS[ element.dataset.provider ];
+	const videoId = element.dataset.videoId;
+
+	if ( ! provider || ! videoId ) {
+		return null;
+	}
+
+	const state = { currentTime: 0, duration: 0, ended: false };
+	const playButton = element.querySelector(
+		CONFIG.SELECTORS.EMBED_PLAY_BUTTON
+	);
+	let iframe = null;
+	let shouldPlay = true;
+
+	const post = ( message ) => {
+		if ( iframe && iframe.contentWindow ) {
+			iframe.contentWindow.postMessage(
+				JSON.stringify( message ),
+				provider.origin
+			);
+		}
+	};
+
+	const handleMessage = ( e ) => {
+		if (
+			! iframe ||
+			e.source !== iframe.contentWindow ||
+			e.origin !== provider.origin
+		) {
+			return;
+		}
+
+		const message = parseMessage( e.data );
+		if ( ! message ) {
+			return;
+		}
+
+		const wasEnded = state.ended;
+		provider.onMessage( message, state, post );
+
+		if ( state.ended && ! wasEnded ) {
+			callbacks.onEnd();
+		}
+	};
+
+	const handleLoad = () => {
+		provider.onLoad( post );
+
+		// The visitor may have paused the accordion while the player loaded
+		if ( ! shouldPlay ) {
+			post( provider.command( 'pause' ) );
+		}
+	};
+
+	// Replace the facade with the provider's player and start it
+	const load = () => {
+		if ( iframe ) {
+			return;
+		}
+
+		iframe = document.createElement( 'iframe' );
+		iframe.src = provider.getSrc( videoId );
+		iframe.title = element.dataset.title || '';
+		iframe.allow =
+			'autoplay; fullscreen; picture-in-picture; encrypted-media';
+		iframe.allowFullscreen = true;
+		iframe.addEventListener( 'load', handleLoad );
+
+		window.addEventListener( 'message', handleMessage );
+		element.replaceChildren( iframe );
+		iframe.focus();
+
+		shouldPlay = true;
+		callbacks.onStart();
+	};
+
+	if ( playButton ) {
+		playButton.addEventListener( 'click', load );
+	}
+
+	return {
+		get currentTime() {
+			return state.currentTime;
+		},
+
+		get duration() {
+			return state.duration;
+		},
+
+		get isLoaded() {
+			return iframe !== null;
+		},
+
+		load,
+
+		/**
+		 * Resume the provider's player
+		 */
+		play() {
+			shouldPlay = true;
+			post( provider.command( 'play' ) );
+		},
+
+		/**
+		 * Pause the provider's player
+		 */
+		pause() {
+			shouldPlay = false;
+			post( provider.command( 'pause' ) );
+		},
+
+		/**
+		 * Stop listening to the player
+		 */
+		destroy() {
+			window.removeEventListener( 'message', handleMessage );
+			if ( playButton ) {
+				playButton.removeEventListener( 'click', load );
+			}
+		},
+	};
+}
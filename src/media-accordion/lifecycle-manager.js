@@ -0,0 +1,100 @@
+/* global MutationObserver */
+
+/**
+ * Accordion Lifecycle Manager
+ *
+ * Starts accordions that are added to the page after load (AJAX, infinite
+ * scroll, modals, page transitions) and fully destroys the ones that are
+ * removed, using a single MutationObserver for the whole document.
+ *
+ * @since 2.2.0
+ */
+
+import { CONFIG } from './constants';
+import { MediaAccordion } from './media-accordion';
+import { AccordionRegistry } from './registry';
+
+export const AccordionLifecycleManager = {
+	observer: null,
+
+	/**
+	 * Initialize every accordion inside a root element
+	 * @param {HTMLElement|Document} [root=document] - Element or document to search
+	 * @return {MediaAccordion[]} Instances for all accordions in the root
+	 */
+	initAll( root = document ) {
+		const elements = Array.from(
+			root.querySelectorAll( CONFIG.SELECTORS.ACCORDION )
+		);
+		if ( root.matches?.( CONFIG.SELECTORS.ACCORDION ) ) {
+			elements.unshift( root );
+		}
+
+		return elements.map(
+			( element ) =>
+				AccordionRegistry.instances.get( element ) ||
+				new MediaAccordion( element )
+		);
+	},
+
+	/**
+	 * Destroy every accordion inside a root element
+	 * @param {HTMLElement|Document} [root=document] - Element or document to search
+	 */
+	destroyAll( root = document ) {
+		AccordionRegistry.getAll().forEach( ( accordion ) => {
+			if ( root.contains( accordion.accordion ) ) {
+				accordion.destroy();
+			}
+		} );
+	},
+
+	/**
+	 * Start watching the document for added and removed accordions
+	 */
+	observe() {
+		if ( this.observer ) {
+			return;
+		}
+
+		this.observer = new MutationObserver( ( mutations ) => {
+			let hasRemovals = false;
+
+			mutations.forEach( ( mutation ) => {
+				if ( mutation.removedNodes.length > 0 ) {
+					hasRemovals = true;
+				}
+
+				mutation.addedNodes.forEach( ( node ) => {
+					if ( node.nodeType === 1 && node.isConnected ) {
+						this.initAll( node );
+					}
+				} );
+			} );
+
+			// Nodes that were only moved are still connected and keep running
+			if ( hasRemovals ) {
+				AccordionRegistry.getAll().forEach( ( accordion ) => {
+					if ( ! accordion.accordion.isConnected ) {
+						accordion.destroy();
+					}
+				} );
+			}
+		} );
+
+		this.observer.observe( document.body, {
+			childList: true,
+			subtree: true,
+		} );
+	},
+
+	/**
+	 * Stop watching the document
+	 */
+	disconnect() {
+		if ( this.observer ) {
+			this.observer.disconnect();
+			this.observer = null;
+		}
+	},
+};
@@ -0,0 +1,170 @@
+/**
+ * Lightbox
+ *
+ * Modal dialog that shows media at full size, with previous/next buttons.
+ * It is a native `<dialog>` opened with `showModal()`, so the rest of the
+ * page is inert while it is open (keeping focus inside) and Esc closes it.
+ *
+ * @since 2.2.0
+ */
+
+import { CONFIG } from './constants';
+
+const ICON_PATHS = {
+	prev: 'M14.6 7l-1.2-1L8 12l5.4 6 1.2-1-4.6-5z',
+	next: 'M10.6 6L9.4 7l4.6 5-4.6 5 1.2 1 5.4-6z',
+	close: 'M13 11.8l6.1-6.3-1-1-6.1 6.2-6.1-6.2-1 1 6.1 6.3-6.5 6.7 1 1 6.5-6.6 6.5 6.6 1-1z',
+};
+
+const LABELS = {
+	prev: 'Previous item',
+	next: 'Next item',
+	close: 'Close',
+};
+
+/**
+ * Creates a lightbox dialog.
+ *
+ * The dialog is added to the end of the body on the first `open()` call,
+ * outside the accordion, so its styles and events stay separate.
+ *
+ * @param {Object}   callbacks                      - Lightbox callbacks
+ * @param {Function} callbacks.onPrev               - Called by the previous button and the left arrow key
+ * @param {Function} callbacks.onNext               - Called by the next button and the right arrow key
+ * @param {Function} callbacks.onClose              - Called after the dialog closed, however it was closed
+ * @param {boolean}  [callbacks.hasNavigation=true] - Show the previous and next buttons
+ *
+ * @return {Object} Lightbox with `open()`, `show()`, `close()` and `destroy()` methods
+ *
+ * @example
+ * const lightbox = createLightbox( {
+ *     onPrev: () => {},
+ *     onNext: () => {},
+ *     onClose: () => {},
+ * } );
+ * lightbox.open( figure, 'Item title' );
+ */
+export function createLightbox( callbacks ) {
+	const { onPrev, onNext, onClose, hasNavigation = true } = callbacks;
+	let dialog = null;
+	let stage = null;
+
+	const createButton = ( name ) => {
+		const button = document.createElement( 'button' );
+		button.type = 'button';
+		button.className = `${ CONFIG.SELECTORS.LIGHTBOX_CLASS }-btn ${ CONFIG.SELECTORS.LIGHTBOX_CLASS }-btn--${ name }`;
+		button.dataset.action = name;
+		button.setAttribute( 'aria-label', LABELS[ name ] );
+		button.innerHTML = `<svg width="24" height="24" viewBox="0 0 24 24" role="presentation" focusable="false" xmlns="http://www.w3.org/2000/svg"><path d="${ ICON_PATHS[ name ] }"></path></svg>`;
+		return button;
+	};
+
+	const handleClick = ( e ) => {
+		const action = e.target.closest( '[data-action]' )?.dataset.action;
+
+		// Clicks on the backdrop land on the dialog itself
+		if ( e.target === dialog || action === 'close' ) {
+			dialog.close();
+		} else if ( action === 'prev' ) {
+			onPrev();
+		} else if ( action === 'next' ) {
+			onNext();
+		}
+	};
+
+	const handleKeydown = ( e ) => {
+		// Leave arrow keys to focused players, which seek with them
+		if ( e.target.closest( 'video, iframe' ) || ! hasNavigation ) {
+			return;
+		}
+
+		if ( e.key === 'ArrowLeft' || e.key === 'ArrowRight' ) {
+			const isRtl = window.getComputedStyle( dialog ).direction === 'rtl';
+			e.preventDefault();
+			if ( ( e.key === 'ArrowRight' ) !== isRtl ) {
+				onNext();
+			} else {
+				onPrev();
+			}
+		}
+	};
+
+	const create = () => {
+		dialog = document.createElement( 'dialog' );
+		dialog.className = CONFIG.SELECTORS.LIGHTBOX_CLASS;
+
+		stage = document.createElement( 'div' );
+		stage.className = `${ CONFIG.SELECTORS.LIGHTBOX_CLASS }-stage`;
+
+		dialog.append( createButton( 'close' ), stage );
+		if ( hasNavigation ) {
+			dialog.append( createButton( 'prev' ), createButton( 'next' ) );
+		}
+
+		dialog.addEventListener( 'click', handleClick );
+		dialog.addEventListener( 'keydown', handleKeydown );
+		dialog.addEventListener( 'close', () => {
+			stage.replaceChildren();
+			onClose();
+		} );
+		document.body.appendChild( dialog );
+	};
+
+	/**
+	 * Replace the media shown in the lightbox
+	 * @param {HTMLElement} content - Element holding the media
+	 * @param {string}      label   - Accessible name of the dialog
+	 */
+	const show = ( content, label ) => {
+		if ( ! dialog ) {
+			return;
+		}
+
+		dialog.setAttribute( 'aria-label', label );
+		stage.replaceChildren( content );
+	};
+
+	return {
+		get isOpen() {
+			return !! dialog && dialog.open;
+		},
+
+		/**
+		 * Open the lightbox with the given media
+		 * @param {HTMLElement} content - Element holding the media
+		 * @param {string}      label   - Accessible name of the dialog
+		 */
+		open( content, label ) {
+			if ( ! dialog ) {
+				create();
+			}
+
+			show( content, label );
+			if ( ! dialog.open ) {
+				dialog.showModal();
+			}
+		},
+
+		show,
+
+		/**
+		 * Close the lightbox
+		 */
+		close() {
+			if ( dialog && dialog.open ) {
+				dialog.close();
+			}
+		},
+
+		/**
+		 * Remove the lightbox from the page, without calling `onClose`
+		 */
+		destroy() {
+			if ( dialog ) {
+				dialog.remove();
+				dialog = null;
+				stage = null;
+			}
+		},
+	};
+}
@@ -8,7 +8,7 @@
  * - Automatic progression with timing
  * - Pause/resume functionality
  * - Media content display
- * - KeenSlider integration for mobile devices
+ * - KeenSlider integration for narrow accordions
  *
  * @since 1.0.0
  */
@@ -18,21 +18,58 @@ import { CONFIG } from './constants';
 import { Utils } from './utils';
 import { createNavigationPlugin } from './navigation-plugin';
 import { AccordionVisibilityManager } from './visibility-manager';
+import { AccordionRegistry } from './registry';
+import { AccordionResizeManager } from './resize-manager';
+import { AccordionClock } from './clock';
+import { createSwipeHandler } from './swipe-handler';
+import { createMediaPreloader } from './media-preloader';
+import { createEmbedPlayer } from './embed-player';
+import { createLightbox } from './lightbox';
+
+// Used to build unique element IDs for accordions without a uid
+let instanceCount = 0;
 
 export class MediaAccordion {
 	// State properties - initialize at class level
 	currentIndex = null;
-	timeoutId = null;
 	isPaused = true; // Will be updated based on autoplay setting
-	remainingTime = 0;
-	startTime = 0;
+	elapsed = 0; // Time the current item has played, advanced by AccordionClock
 	duration = 0;
+	progress = null;
 	slider = null;
-	intersectionObserver = null;
-	resizeTimeout = null;
+	mode = null; // 'desktop', or 'slider', 'stacked' or 'expanded' below the breakpoint
+	swipeHandler = null;
 	isVisible = false;
 	wasUserPaused = false;
-	hasStartedAnimation = false; // Track if animation has ever started
+	isVideoTimed = false; // Active item advances when its video ends
+	activeVideo = null; // Native video, or an embed player with the same currentTime/duration
+	activeEmbed = null; // Player for a YouTube or Vimeo item
+	soundButton = null;
+	caption = null; // Live region for the active item's caption
+	mediaLink = null; // Link over the media pane, for items with a link
+	expandButton = null;
+	lightbox = null; // Full size view of the active media, created on first use
+	lightboxIndex = null; // Item shown in the lightbox, ahead of a scroll-driven accordion
+	lightboxPlayer = null; // Embed player inside the lightbox
+	fullscreenVideo = null; // Media pane video shown with the Fullscreen API
+	stripMedia = []; // Static media behind each strip, for the expanding panels layout
+	inlineMedia = []; // Media shown inside each item in the expanded mobile mode
+	inlinePlayers = []; // Embed players of the inline media
+	hoverTimer = null;
+	generatedIds = []; // Elements given an ID at runtime, cleared on destroy
+	hoverOrigin = null; // Item open when the pointer entered, for the leave behavior
+	isMuted = true; // Visitor's sound choice, kept across item switches
+	videoTimingController = null;
+	holds = new Set(); // Temporary pause reasons such as 'hover' or 'focus'
+	cycleCount = 0; // Completed autoplay cycles
+	shuffleQueue = null; // Indices left in the current shuffled cycle
+	hasEnded = false; // Autoplay stopped at the end of a cycle
+	isMediaLoading = false; // Incoming media is not ready to replace the current one
+	mediaRequest = 0; // Increases on every media switch so stale ones are dropped
+	mediaIndex = null; // Item whose media is in the media pane
+	leaveTimer = null;
+	wasReducedMotionPaused = false;
+	isAutoChange = false; // The runtime, not the visitor, is switching items, which leaves the URL hash alone
 
 	/**
 	 * Initialize the accordion
@@ -41,23 +78,59 @@ export class MediaAccordion {
 	constructor( element ) {
 		// DOM references - keep in constructor since they depend on the element parameter
 		this.accordion = element;
+		this.uid =
+			Array.from( this.accordion.classList ).find( ( className ) =>
+				className.startsWith( CONFIG.DEFAULTS.UID_PREFIX )
+			) || null;
+		this.idPrefix = this.uid || `media-accordion-${ ++instanceCount }`;
 		this.items = this.accordion.querySelectorAll(
 			CONFIG.SELECTORS.ACCORDION_ITEM
 		);
 		this.mediaContainer = this.accordion.querySelector(
 			CONFIG.SELECTORS.MEDIA_CONTAINER
 		);
+		this.mediaHome = this.mediaContainer
+			? this.mediaContainer.parentElement
+			: null;
+		this.isStripLayout = this.accordion.classList.contains(
+			CONFIG.SELECTORS.STRIP_LAYOUT_CLASS
+		);
 		this.pauseButton = this.accordion.querySelector(
 			CONFIG.SELECTORS.PAUSE_BUTTON
 		);
+
+		// Saved markup that destroy() puts back, so the block can be set up again
+		this.savedMarkup = {
+			media: this.mediaContainer ? this.mediaContainer.innerHTML : '',
+			pauseButton: this.pauseButton ? this.pauseButton.innerHTML : '',
+			pauseLabel: this.pauseButton?.getAttribute( 'aria-label' ) ?? null,
+		};
 		this.contentContainer = this.accordion.querySelector(
 			CONFIG.SELECTORS.CONTENT_CONTAINER
 		);
+		this.headerButtons = Array.from( this.items ).map( ( item ) =>
+			item.querySelector( CONFIG.SELECTORS.HEADER_BUTTON )
+		);
+		this.preloader = createMediaPreloader(
+			Array.from( this.items ).map( ( item ) =>
+				item.querySelector( CONFIG.SELECTORS.MEDIA_TEMPLATE )
+			)
+		);
 
 		// Bind methods
 		this.handleClick = this.handleClick.bind( this );
-		this.handleOrientationChange = Utils.debounce(
-			this.handleOrientationChange.bind( this ),
+		this.handleKeydown = this.handleKeydown.bind( this );
+		this.handleItemPointerEnter = this.handleItemPointerEnter.bind( this );
+		this.handleItemPointerLeave = this.handleItemPointerLeave.bind( this );
+		this.handlePointerEnter = this.handlePointerEnter.bind( this );
+		this.handlePointerLeave = this.handlePointerLeave.bind( this );
+		this.handleFocusIn = this.handleFocusIn.bind( this );
+		this.handleFocusOut = this.handleFocusOut.bind( this );
+		this.handleReducedMotionChange =
+			this.handleReducedMotionChange.bind( this );
+		this.handleHashChange = this.handleHashChange.bind( this );
+		this.handleResize = Utils.debounce(
+			this.refreshSlider.bind( this ),
 			CONFIG.DEFAULTS.RESIZE_DEBOUNCE
 		);
 
@@ -65,6 +138,39 @@ export class MediaAccordion {
 		const ds = this.accordion?.dataset || {};
 		this.autoplayEnabled = ds.autoplay !== 'false';
 		this.hasDefaultMedia = ds.hasDefaultMedia === 'true';
+		this.deepLinkingEnabled = ds.deepLinking === 'true';
+		this.deepLinkScroll = ds.deepLinkScroll === 'true';
+		this.loopMode = ds.loopMode || CONFIG.DEFAULTS.LOOP_MODE;
+		this.loopCount = Math.max( 1, parseInt( ds.loopCount, 10 ) || 1 );
+		this.breakpoint =
+			parseInt( ds.breakpoint, 10 ) || CONFIG.DEFAULTS.BREAKPOINT;
+		this.mobileBehavior =
+			ds.mobileBehavior || CONFIG.DEFAULTS.MOBILE_BEHAVIOR;
+		this.scrollDriven = ds.scroll === 'true' && ! this.isStripLayout;
+
+		// The list layout activated on hover before this was a setting
+		this.activateOn =
+			ds.activateOn ||
+			( this.accordion.classList.contains( 'is-layout-2' )
+				? 'hover'
+				: 'click' );
+		this.hoverDelay =
+			ds.hoverDelay !== undefined
+				? Math.max( 0, parseInt( ds.hoverDelay, 10 ) || 0 )
+				: CONFIG.DEFAULTS.HOVER_DELAY;
+		this.leaveBehavior = ds.leaveBehavior || 'stay';
+		this.scrollScrub = this.scrollDriven && ds.scrollScrub === 'true';
+		this.sliderNavigation = (
+			ds.sliderNavigation ?? CONFIG.DEFAULTS.SLIDER_NAVIGATION
+		).split( ' ' );
+		this.transition = ds.transition || CONFIG.DEFAULTS.TRANSITION;
+		this.transitionDuration = this.getTransitionDuration();
+
+		// Keep the saved default media so it can be restored after a cycle
+		this.defaultMediaHTML =
+			this.hasDefaultMedia && this.mediaContainer
+				? this.mediaContainer.innerHTML
+				: '';
 
 		// If autoplay is disabled, start paused and treat as user-paused to prevent auto-resume on visibility
 		if ( this.autoplayEnabled ) {
@@ -75,6 +181,15 @@ export class MediaAccordion {
 			this.wasUserPaused = true;
 		}
 
+		// Reduced motion users start paused and have to press play themselves
+		this.reducedMotionQuery = window.matchMedia(
+			'(prefers-reduced-motion: reduce)'
+		);
+		if ( this.autoplayEnabled && this.reducedMotionQuery.matches ) {
+			this.wasUserPaused = true;
+			this.wasReducedMotionPaused = true;
+		}
+
 		this.init();
 	}
 
@@ -82,11 +197,19 @@ export class MediaAccordion {
 	 * Initialize the accordion functionality
 	 */
 	init() {
+		AccordionRegistry.register( this );
+
 		if ( this.items.length === 0 ) {
 			return;
 		}
 
 		this.attachEventListeners();
+		this.setupAccessibility();
+		this.createSoundButton();
+		this.createExpandButton();
+		this.createCaption();
+		this.createMediaLink();
+		this.createStripMedia();
 
 		// Only set initial item if autoplay is enabled OR no default media is set
 		// When autoplay is false and default media exists, skip setting active item
@@ -95,22 +218,42 @@ export class MediaAccordion {
 			this.updateMediaContent();
 		}
 
+		this.scheduleNextItem();
+
+		// Scroll-driven accordions can only scroll to a linked item once
+		// their mode is known, see below
+		if ( this.deepLinkingEnabled && ! this.scrollDriven ) {
+			this.openFromHash( this.deepLinkScroll );
+		}
+
 		this.updatePauseButton();
 
 		// Always register for visibility monitoring first
 		AccordionVisibilityManager.register( this );
+		if ( this.scrollDriven ) {
+			AccordionVisibilityManager.observeTriggers(
+				this,
+				this.headerButtons.map( ( button ) =>
+					button?.closest( CONFIG.SELECTORS.ITEM_HEADER )
+				)
+			);
+		}
 
-		// Check if we need slider for portrait mode
-		if (
-			! Utils.isLandscapeOrSquare() &&
-			Utils.isElementVisible( this.accordion )
-		) {
-			this.initSlider();
+		// Pick the layout from the accordion's own width, then follow resizes
+		this.setMode(
+			this.getModeForWidth( this.accordion.getBoundingClientRect().width )
+		);
+		AccordionResizeManager.register( this );
+
+		if ( this.deepLinkingEnabled && this.scrollDriven ) {
+			this.openFromHash( this.deepLinkScroll );
 		}
+
+		this.dispatch( CONFIG.EVENTS.INIT );
 	}
 
 	/**
-	 * Initialize KeenSlider for mobile devices
+	 * Initialize KeenSlider for narrow accordions
 	 */
 	initSlider() {
 		if ( ! this.contentContainer || this.slider ) {
@@ -142,8 +285,57 @@ export class MediaAccordion {
 					this.showItem( slider.track.details.abs, false );
 				},
 			},
-			[ createNavigationPlugin ]
+			[
+				createNavigationPlugin( {
+					dots: this.sliderNavigation.includes( 'dots' ),
+					arrows: this.sliderNavigation.includes( 'arrows' ),
+					counter: this.sliderNavigation.includes( 'counter' ),
+					getThumbnail: this.sliderNavigation.includes( 'thumbnails' )
+						? ( index ) => this.createThumbnail( index )
+						: null,
+				} ),
+			]
+		);
+	}
+
+	/**
+	 * Build a slider thumbnail from an item's media template
+	 *
+	 * Uses the item image, the embed thumbnail or the video poster. Videos
+	 * without a poster show their first frame.
+	 *
+	 * @param {number} index - Item index
+	 * @return {HTMLElement|null} Image or video element, or null without media
+	 */
+	createThumbnail( index ) {
+		const template = this.items[ index ]?.querySelector(
+			CONFIG.SELECTORS.MEDIA_TEMPLATE
 		);
+		const media = template?.content.querySelector( 'img, video' );
+		if ( ! media ) {
+			return null;
+		}
+
+		// Template content has no base URL, so read the saved attributes
+		const poster = media.getAttribute( 'poster' );
+		if ( media.tagName === 'IMG' || poster ) {
+			const image = document.createElement( 'img' );
+			image.src = poster || media.getAttribute( 'src' );
+			if ( ! poster && media.getAttribute( 'srcset' ) ) {
+				image.srcset = media.getAttribute( 'srcset' );
+				image.sizes = '5rem';
+			}
+			image.alt = '';
+			image.loading = 'lazy';
+			return image;
+		}
+
+		const video = document.createElement( 'video' );
+		video.src = media.getAttribute( 'src' );
+		video.preload = 'metadata';
+		video.muted = true;
+		video.setAttribute( 'aria-hidden', 'true' );
+		return video;
 	}
 
 	/**
@@ -171,362 +363,1672 @@ export class MediaAccordion {
 	}
 
 	/**
-	 * Attach event listeners
+	 * Get the layout mode for an accordion width
+	 * @param {number} width - Accordion width in pixels
+	 * @return {string} 'desktop' at or above the breakpoint, otherwise the mobile behavior's mode
 	 */
-	attachEventListeners() {
-		this.accordion.addEventListener( 'click', this.handleClick );
-
-		if ( this.accordion.classList.contains( 'is-layout-2' ) ) {
-			this.items.forEach( ( item ) =>
-				item.addEventListener(
-					'mouseenter',
-					this.handleMouseEnterItem.bind( this )
-				)
-			);
+	getModeForWidth( width ) {
+		if ( width >= this.breakpoint ) {
+			return 'desktop';
 		}
 
-		window.addEventListener(
-			'orientationchange',
-			this.handleOrientationChange
-		);
-		window.addEventListener( 'resize', this.handleOrientationChange );
+		return this.mobileBehavior === 'carousel'
+			? 'slider'
+			: this.mobileBehavior;
 	}
 
 	/**
-	 * Handle click events using event delegation
-	 * @param {Event} e - The click event
+	 * Switch between the desktop accordion and the mobile modes
+	 *
+	 * The mode is mirrored to `data-mode`, which the stylesheet uses for the
+	 * layout.
+	 *
+	 * @param {string} mode - 'desktop', 'slider', 'stacked' or 'expanded'
 	 */
-	handleClick( e ) {
-		e.preventDefault();
-
-		// Handle accordion item button clicks
-		const itemButton = e.target.closest( CONFIG.SELECTORS.ITEM_BUTTON );
-		if ( itemButton ) {
-			this.handleItemClick( itemButton );
+	setMode( mode ) {
+		if ( mode === this.mode ) {
 			return;
 		}
 
-		// Handle pause/resume button clicks
-		const pauseButton = e.target.closest( CONFIG.SELECTORS.PAUSE_BUTTON );
-		if ( pauseButton ) {
-			this.togglePause();
-		}
-	}
+		const previousMode = this.mode;
+		this.mode = mode;
+		this.accordion.dataset.mode = mode;
 
-	handleMouseEnterItem( e ) {
-		const itemButton = e.target.closest( CONFIG.SELECTORS.ITEM_BUTTON );
-		if ( itemButton ) {
-			this.handleItemClick( itemButton );
+		if ( mode === 'slider' ) {
+			this.initSlider();
+		} else {
+			this.destroySlider();
 		}
-	}
 
-	/**
-	 * Handle accordion item button click
-	 * @param {HTMLElement} itemButton - The clicked item button
-	 */
-	handleItemClick( itemButton ) {
-		const item = itemButton.closest( CONFIG.SELECTORS.ACCORDION_ITEM );
-		if ( ! item || ! Utils.isLandscapeOrSquare() ) {
-			return;
+		// Every item shows its own media, so there is nothing to autoplay
+		if ( mode === 'expanded' ) {
+			this.createInlineMedia();
+			this.hold( 'expanded' );
+		} else if ( previousMode === 'expanded' ) {
+			this.removeInlineMedia();
+			this.release( 'expanded' );
 		}
 
-		const index = Array.from( this.items ).indexOf( item );
-		if ( index !== -1 && index !== this.currentIndex ) {
-			this.showItem( index );
+		this.placeMediaPane();
+		this.updateAriaState();
+
+		// Scrubbing stops and starts with the desktop layout
+		if ( this.scrollDriven ) {
+			this.syncClock();
+			this.handleVideoPlayback();
 		}
 	}
 
 	/**
-	 * Handle visibility changes from intersection observer
-	 * @param {boolean} isVisible - Whether the accordion is visible
+	 * Check whether scrolling drives the active item
+	 *
+	 * Scroll-driven accordions fall back to the normal behavior below the
+	 * breakpoint.
+	 *
+	 * @return {boolean} True in desktop mode with the scroll setting on
 	 */
-	onVisibilityChange( isVisible ) {
-		this.isVisible = isVisible;
-
-		if ( isVisible ) {
-			// Initialize slider if needed and in portrait mode
-			if ( ! Utils.isLandscapeOrSquare() && ! this.slider ) {
-				this.initSlider();
-			}
-			// Start/resume animation if not manually paused by user
-			if ( ! this.wasUserPaused ) {
-				this.resumeAnimation();
-			}
-		} else {
-			// Pause animation when not visible
-			this.pauseAnimation();
-		}
+	isScrollDriven() {
+		return this.scrollDriven && this.mode === 'desktop';
 	}
 
 	/**
-	 * Pause animation due to visibility (not user action)
+	 * Check whether scrolling sets the active video's position
+	 * @return {boolean} True if videos are scrubbed instead of played
 	 */
-	pauseAnimation() {
-		if ( ! this.isPaused ) {
-			this.isPaused = true;
-			this.clearTimer();
-
-			// Calculate remaining time
-			const elapsed = Date.now() - this.startTime;
-			this.remainingTime = Math.max( 0, this.duration - elapsed );
-
-			// Update video playback
-			this.handleVideoPlayback();
-
-			// Add paused class for CSS animations
-			if ( this.items[ this.currentIndex ] ) {
-				this.items[ this.currentIndex ].classList.add(
-					CONFIG.SELECTORS.PAUSED_CLASS
-				);
-			}
-		}
+	isScrubbing() {
+		return this.scrollScrub && this.isScrollDriven();
 	}
 
 	/**
-	 * Resume animation due to visibility (not user action)
+	 * Get the item whose header last crossed the scroll trigger line
+	 * @return {number} Item index, the first item before any header crossed
 	 */
-	resumeAnimation() {
-		if ( this.isPaused && ! this.wasUserPaused ) {
-			this.isPaused = false;
+	getScrollIndex() {
+		const line = window.innerHeight * CONFIG.DEFAULTS.SCROLL_TRIGGER_LINE;
+		let index = 0;
 
-			// If animation hasn't started yet, start fresh
-			if ( ! this.hasStartedAnimation ) {
-				this.hasStartedAnimation = true;
-				this.scheduleNextItem();
-			} else {
-				// Resume with remaining time
-				this.startTime = Date.now();
-				this.timeoutId = setTimeout( () => {
-					this.showItem(
-						( this.currentIndex + 1 ) % this.items.length
-					);
-				}, this.remainingTime );
+		this.headerButtons.forEach( ( button, i ) => {
+			if ( button && button.getBoundingClientRect().top <= line ) {
+				index = i;
 			}
+		} );
 
-			// Update video playback
-			this.handleVideoPlayback();
-
-			// Remove paused class
-			if ( this.items[ this.currentIndex ] ) {
-				this.items[ this.currentIndex ].classList.remove(
-					CONFIG.SELECTORS.PAUSED_CLASS
-				);
-			}
-		} else if (
-			! this.isPaused &&
-			! this.wasUserPaused &&
-			this.remainingTime === 0
-		) {
-			// Start animation for the first time when becoming visible
-			this.scheduleNextItem();
-		}
+		return index;
 	}
 
 	/**
-	 * Handle orientation/resize changes
+	 * Show the item at the scroll trigger line
+	 *
+	 * Called by AccordionVisibilityManager when a header crosses the line.
 	 */
-	handleOrientationChange() {
-		if ( Utils.isLandscapeOrSquare() ) {
-			// Destroy slider if in landscape or square mode
-			this.destroySlider();
-		} else if ( ! this.slider && this.isVisible ) {
-			// Initialize slider if not already done and accordion is visible
-			this.initSlider();
-		} else if ( this.slider ) {
-			// Refresh existing slider
-			this.refreshSlider();
+	onScrollTrigger() {
+		if ( ! this.isScrollDriven() ) {
+			return;
+		}
+
+		const index = this.getScrollIndex();
+		if ( index !== this.currentIndex ) {
+			// Scrolling the block into view opens its first item, which is
+			// not the visitor picking it
+			this.isAutoChange = this.currentIndex === null;
+			this.showItem( index );
+			this.isAutoChange = false;
 		}
 	}
 
 	/**
-	 * Shows the accordion item at the specified index and manages the display cycle.
+	 * Scroll the page so an item's header sits just past the trigger line
 	 *
-	 * @param {number}  index               - The zero-based index of the item to show
-	 * @param {boolean} [updateSlider=true] - Whether to update the slider component
-	 * @return {void}
+	 * The trigger observer then shows the item, like any other scroll.
+	 *
+	 * @param {number} index - The zero-based item index
 	 */
-	showItem( index, updateSlider = true ) {
-		if ( index < 0 || index >= this.items.length ) {
+	scrollToItem( index ) {
+		const button = this.headerButtons[ index ];
+		if ( ! button ) {
 			return;
 		}
 
-		this.clearTimer();
-		this.updateActiveItem( index, updateSlider );
-		this.updateMediaContent();
-		this.scheduleNextItem();
+		const line = window.innerHeight * CONFIG.DEFAULTS.SCROLL_TRIGGER_LINE;
+		window.scrollTo( {
+			top: Math.ceil(
+				window.scrollY + button.getBoundingClientRect().top - line + 1
+			),
+			behavior: Utils.prefersReducedMotion() ? 'auto' : 'smooth',
+		} );
 	}
 
 	/**
-	 * Updates the active item in the accordion by managing CSS classes and slider position.
+	 * Follow the scroll position through the active item on each clock tick
 	 *
-	 * @param {number}  index               - The index of the item to make active
-	 * @param {boolean} [updateSlider=true] - Whether to update the slider position to match the active item
-	 * @description Removes active and paused classes from all items, adds active class to the specified item,
-	 * applies paused class if the accordion is paused, optionally updates slider position, and sets the current index.
+	 * Progress runs from the item's header reaching the trigger line to the
+	 * next header reaching it. Videos are scrubbed to match when enabled.
 	 */
-	updateActiveItem( index, updateSlider = true ) {
-		// Remove active and paused classes from all items
-		this.items.forEach( ( item ) => {
-			item.classList.remove(
-				CONFIG.SELECTORS.ACTIVE_CLASS,
-				CONFIG.SELECTORS.PAUSED_CLASS
-			);
-		} );
-
-		// Add active class to current item
-		this.items[ index ].classList.add( CONFIG.SELECTORS.ACTIVE_CLASS );
-
-		// Add paused class if needed
-		if ( this.isPaused ) {
-			this.items[ index ].classList.add( CONFIG.SELECTORS.PAUSED_CLASS );
+	followScroll() {
+		const button = this.headerButtons[ this.currentIndex ];
+		if ( ! button ) {
+			return;
 		}
 
-		// Update slider position if needed
-		if ( this.slider && updateSlider ) {
-			this.slider.moveToIdx( index );
+		const line = window.innerHeight * CONFIG.DEFAULTS.SCROLL_TRIGGER_LINE;
+		const start = button.getBoundingClientRect().top;
+		const next = this.headerButtons[ this.currentIndex + 1 ];
+		const end = next
+			? next.getBoundingClientRect().top
+			: this.items[ this.currentIndex ].getBoundingClientRect().bottom;
+		const progress = end > start ? ( line - start ) / ( end - start ) : 1;
+
+		// A fast scroll can jump over a header between two observer updates
+		if ( progress < 0 || progress > 1 ) {
+			this.onScrollTrigger();
+			return;
 		}
 
-		this.currentIndex = index;
+		this.setProgress( progress );
+
+		const video = this.activeVideo;
+		if (
+			this.scrollScrub &&
+			video &&
+			video.tagName === 'VIDEO' &&
+			video.duration
+		) {
+			const time = progress * video.duration;
+			if (
+				Math.abs( video.currentTime - time ) >
+				CONFIG.DEFAULTS.SCRUB_TOLERANCE
+			) {
+				video.currentTime = time;
+			}
+		}
 	}
 
 	/**
-	 * Update media content in the media container
+	 * Handle accordion size changes from the resize observer
+	 * @param {number} width - New accordion width in pixels
 	 */
-	updateMediaContent() {
-		if ( ! this.mediaContainer ) {
+	onResize( width ) {
+		// A hidden accordion reports no width, keep its layout until it shows
+		if ( width === 0 ) {
 			return;
 		}
 
-		// Guard against null currentIndex
-		if ( this.currentIndex === null || ! this.items[ this.currentIndex ] ) {
-			return;
+		const mode = this.getModeForWidth( width );
+		if ( mode !== this.mode ) {
+			this.setMode( mode );
+		} else if ( this.slider ) {
+			this.handleResize();
 		}
+	}
 
-		const mediaTemplate = this.items[ this.currentIndex ].querySelector(
-			CONFIG.SELECTORS.MEDIA_TEMPLATE
-		);
-		if ( ! mediaTemplate || ! mediaTemplate.content ) {
-			return;
+	/**
+	 * Apply the WAI-ARIA accordion pattern to item buttons and their panels
+	 *
+	 * Item content can hold links and forms, which tab panels inside a tab
+	 * list can't. The saved markup only contains plain buttons, so roles, IDs
+	 * and relationships are added at runtime.
+	 */
+	setupAccessibility() {
+		const mediaPane = this.mediaContainer;
+
+		if ( mediaPane ) {
+			this.ensureId( mediaPane, `${ this.idPrefix }-media` );
+			mediaPane.setAttribute( 'role', 'region' );
 		}
 
-		const mediaElement = mediaTemplate.content.cloneNode( true );
+		this.items.forEach( ( item, index ) => {
+			const button = this.headerButtons[ index ];
+			if ( ! button ) {
+				return;
+			}
 
-		// Handle video autoplay based on pause state
-		const video = mediaElement.querySelector( 'video' );
-		if ( video ) {
-			video.autoplay = ! this.isPaused || ! this.autoplayEnabled;
-		}
+			this.ensureId( button, `${ this.idPrefix }-button-${ index + 1 }` );
+			button.setAttribute( 'type', 'button' );
 
-		this.mediaContainer.innerHTML = '';
-		this.mediaContainer.appendChild( mediaElement );
+			const controls = [];
+			const content = item.querySelector( CONFIG.SELECTORS.ITEM_CONTENT );
+			if ( content ) {
+				this.ensureId(
+					content,
+					`${ this.idPrefix }-panel-${ index + 1 }`
+				);
+				content.setAttribute( 'role', 'region' );
+				content.setAttribute( 'aria-labelledby', button.id );
+				controls.push( content.id );
+			}
+			if ( mediaPane ) {
+				controls.push( mediaPane.id );
+			}
 
-		// Force reflow before fading - use double rAF to ensure browser has painted initial state
-		requestAnimationFrame( () => {
-			requestAnimationFrame( () => {
-				const elements = this.mediaContainer.children;
-				for ( let i = 0; i < elements.length; i++ ) {
-					if ( elements[ i ] && elements[ i ].classList ) {
-						elements[ i ].classList.add( 'active' );
-					}
-				}
-			} );
+			button.setAttribute( 'aria-controls', controls.join( ' ' ) );
 		} );
+
+		this.updateAriaState();
 	}
 
 	/**
-	 * Schedule the next item to be shown
+	 * Give an element an ID unless the saved markup already has one
+	 * @param {HTMLElement} element - Element that needs an ID
+	 * @param {string}      id      - ID to use
 	 */
-	scheduleNextItem() {
-		// Don't schedule if paused or not visible
-		if ( this.isPaused || ! this.isVisible ) {
-			return;
+	ensureId( element, id ) {
+		if ( ! element.id ) {
+			element.id = id;
+			this.generatedIds.push( element );
 		}
-
-		this.duration = this.getAnimationDuration();
-		this.startTime = Date.now();
-		this.remainingTime = this.duration;
-
-		this.timeoutId = setTimeout( () => {
-			this.showItem( ( this.currentIndex + 1 ) % this.items.length );
-		}, this.duration );
 	}
 
 	/**
-	 * Get animation duration from CSS variable
-	 * @return {number} Duration in milliseconds
+	 * Sync ARIA state and the roving tabindex with the active item
 	 */
-	getAnimationDuration() {
-		// Guard against null currentIndex
-		if ( this.currentIndex === null || ! this.items[ this.currentIndex ] ) {
-			return CONFIG.DEFAULTS.ANIMATION_DURATION;
-		}
+	updateAriaState() {
+		const focusIndex = this.currentIndex !== null ? this.currentIndex : 0;
 
-		const currentItem = this.items[ this.currentIndex ];
-		const duration = window
-			.getComputedStyle( currentItem )
-			.getPropertyValue( CONFIG.DEFAULTS.CSS_DURATION_VAR );
+		this.headerButtons.forEach( ( button, index ) => {
+			if ( ! button ) {
+				return;
+			}
 
-		if ( ! duration ) {
-			return CONFIG.DEFAULTS.ANIMATION_DURATION;
-		}
+			// Every panel is open in the expanded layout
+			const isOpen =
+				this.mode === 'expanded' || index === this.currentIndex;
+			button.setAttribute( 'aria-expanded', isOpen ? 'true' : 'false' );
+			button.tabIndex = index === focusIndex ? 0 : -1;
+		} );
 
-		return duration.includes( 'ms' )
-			? parseFloat( duration )
-			: parseFloat( duration ) * 1000;
-	}
+		if ( ! this.mediaContainer ) {
+			return;
+		}
 
-	/**
-	 * Toggle pause/resume state
-	 */
-	togglePause() {
-		if ( this.isPaused ) {
-			this.resume();
+		const activeButton = this.headerButtons[ this.currentIndex ];
+		if ( activeButton ) {
+			this.mediaContainer.setAttribute(
+				'aria-labelledby',
+				activeButton.id
+			);
 		} else {
-			this.pause();
+			this.mediaContainer.removeAttribute( 'aria-labelledby' );
 		}
-
-		this.handleVideoPlayback();
 	}
 
 	/**
-	 * Handle video playback based on pause state
+	 * Move keyboard focus to an item button
+	 * @param {number} index - The index of the item to focus
 	 */
-	handleVideoPlayback() {
-		if ( ! this.mediaContainer ) {
+	focusItem( index ) {
+		const button = this.headerButtons[ index ];
+		if ( ! button ) {
 			return;
 		}
 
-		const video = this.mediaContainer.querySelector( 'video' );
-		if ( video ) {
-			if ( this.isPaused ) {
-				video.pause();
-			} else {
-				video.play();
+		this.headerButtons.forEach( ( otherButton ) => {
+			if ( otherButton ) {
+				otherButton.tabIndex = otherButton === button ? 0 : -1;
 			}
-		}
+		} );
+		button.focus();
 	}
 
 	/**
-	 * Pause the accordion (user action)
+	 * Handle arrow, Home and End keys on item buttons
+	 * @param {KeyboardEvent} e - The keydown event
 	 */
-	pause() {
-		if ( this.isPaused ) {
+	handleKeydown( e ) {
+		const button = e.target.closest( CONFIG.SELECTORS.HEADER_BUTTON );
+		const index = this.headerButtons.indexOf( button );
+		if ( index === -1 ) {
 			return;
 		}
 
-		this.wasUserPaused = true;
-		this.isPaused = true;
-		this.clearTimer();
-
-		// Calculate remaining time only if animation has started
-		if ( this.hasStartedAnimation ) {
-			const elapsed = Date.now() - this.startTime;
-			this.remainingTime = Math.max( 0, this.duration - elapsed );
+		const count = this.headerButtons.length;
+		let targetIndex;
+
+		switch ( e.key ) {
+			case 'ArrowDown':
+			case 'ArrowRight':
+				targetIndex = ( index + 1 ) % count;
+				break;
+			case 'ArrowUp':
+			case 'ArrowLeft':
+				targetIndex = ( index - 1 + count ) % count;
+				break;
+			case 'Home':
+				targetIndex = 0;
+				break;
+			case 'End':
+				targetIndex = count - 1;
+				break;
+			default:
+				return;
 		}
 
-		// Update UI
-		this.updatePauseButton();
-
+		e.preventDefault();
+		this.focusItem( targetIndex );
+	}
+
+	/**
+	 * Attach event listeners
+	 */
+	attachEventListeners() {
+		this.accordion.addEventListener( 'click', this.handleClick );
+		this.accordion.addEventListener( 'keydown', this.handleKeydown );
+		this.accordion.addEventListener(
+			'pointerenter',
+			this.handlePointerEnter
+		);
+		this.accordion.addEventListener(
+			'pointerleave',
+			this.handlePointerLeave
+		);
+		this.accordion.addEventListener( 'focusin', this.handleFocusIn );
+		this.accordion.addEventListener( 'focusout', this.handleFocusOut );
+		this.reducedMotionQuery.addEventListener(
+			'change',
+			this.handleReducedMotionChange
+		);
+
+		if ( this.activateOn === 'hover' ) {
+			this.items.forEach( ( item ) => {
+				item.addEventListener(
+					'pointerenter',
+					this.handleItemPointerEnter
+				);
+				item.addEventListener(
+					'pointerleave',
+					this.handleItemPointerLeave
+				);
+			} );
+		}
+
+		if ( this.deepLinkingEnabled ) {
+			window.addEventListener( 'hashchange', this.handleHashChange );
+		}
+
+		// Swipes on the media pane, KeenSlider handles them in slider mode
+		if ( this.mediaContainer ) {
+			this.swipeHandler = createSwipeHandler( this.mediaContainer, {
+				isEnabled: () => ! this.slider && this.items.length > 1,
+				onStart: () => this.hold( 'drag' ),
+				onMove: ( offset ) =>
+					this.mediaContainer.style.setProperty(
+						'--drag-offset',
+						`${ offset }px`
+					),
+				onEnd: ( offset ) => this.handleSwipeEnd( offset ),
+			} );
+		}
+	}
+
+	/**
+	 * Change item after a swipe on the media pane and resume autoplay
+	 * @param {number} offset - Horizontal distance of the swipe in pixels
+	 */
+	handleSwipeEnd( offset ) {
+		this.mediaContainer.style.removeProperty( '--drag-offset' );
+
+		if ( Math.abs( offset ) >= CONFIG.DEFAULTS.SWIPE_THRESHOLD ) {
+			const isRtl =
+				window.getComputedStyle( this.accordion ).direction === 'rtl';
+			if ( offset < 0 !== isRtl ) {
+				this.next();
+			} else {
+				this.prev();
+			}
+		}
+
+		this.release( 'drag' );
+	}
+
+	/**
+	 * Handle click events using event delegation
+	 * @param {Event} e - The click event
+	 */
+	handleClick( e ) {
+		// Handle accordion item button clicks
+		const itemButton = e.target.closest( CONFIG.SELECTORS.ITEM_BUTTON );
+		if ( itemButton ) {
+			// Links, buttons and form fields in the item content keep working
+			if ( this.isInteractiveContent( e.target, itemButton ) ) {
+				return;
+			}
+
+			if ( e.target.closest( CONFIG.SELECTORS.HEADER_BUTTON ) ) {
+				e.preventDefault();
+			}
+			this.handleItemClick( itemButton, e );
+			return;
+		}
+
+		// Handle pause/resume button clicks
+		const pauseButton = e.target.closest( CONFIG.SELECTORS.PAUSE_BUTTON );
+		if ( pauseButton ) {
+			e.preventDefault();
+			this.togglePause();
+			return;
+		}
+
+		if ( e.target.closest( `.${ CONFIG.SELECTORS.SOUND_BUTTON_CLASS }` ) ) {
+			e.preventDefault();
+			this.toggleSound();
+			return;
+		}
+
+		if (
+			e.target.closest( `.${ CONFIG.SELECTORS.EXPAND_BUTTON_CLASS }` )
+		) {
+			e.preventDefault();
+			this.openLightbox();
+			return;
+		}
+
+		// Handle previous/next button clicks
+		if ( e.target.closest( CONFIG.SELECTORS.PREV_BUTTON ) ) {
+			e.preventDefault();
+			this.prev();
+		} else if ( e.target.closest( CONFIG.SELECTORS.NEXT_BUTTON ) ) {
+			e.preventDefault();
+			this.next();
+		}
+	}
+
+	/**
+	 * Check if a click landed on a link, button or field in an item's content
+	 * @param {HTMLElement} target - The clicked element
+	 * @param {HTMLElement} item   - Accordion item containing the target
+	 * @return {boolean} True if the element should handle the click itself
+	 */
+	isInteractiveContent( target, item ) {
+		const element = target.closest( CONFIG.SELECTORS.INTERACTIVE );
+		const content = item.querySelector( CONFIG.SELECTORS.ITEM_CONTENT );
+		return !! element && !! content && content.contains( element );
+	}
+
+	/**
+	 * Open a hovered item once the pointer has rested on it
+	 * @param {PointerEvent} e - The pointerenter event of an item
+	 */
+	handleItemPointerEnter( e ) {
+		// Hovering must not scroll the page in scroll-driven mode
+		if ( e.pointerType !== 'mouse' || this.isScrollDriven() ) {
+			return;
+		}
+
+		const item = e.currentTarget;
+		clearTimeout( this.hoverTimer );
+		this.hoverTimer = setTimeout(
+			() => this.handleItemClick( item ),
+			this.hoverDelay
+		);
+	}
+
+	/**
+	 * Cancel a pending hover activation when the pointer moves on
+	 * @param {PointerEvent} e - The pointerleave event of an item
+	 */
+	handleItemPointerLeave( e ) {
+		if ( e.pointerType === 'mouse' ) {
+			clearTimeout( this.hoverTimer );
+		}
+	}
+
+	/**
+	 * Apply the leave behavior once the pointer leaves a hover-activated accordion
+	 *
+	 * 'previous' restores what was shown before the pointer came in, the
+	 * item or the default media, and 'default-media' always goes back to
+	 * the default media.
+	 */
+	restoreAfterHover() {
+		if (
+			this.activateOn !== 'hover' ||
+			this.mode !== 'desktop' ||
+			this.isScrollDriven() ||
+			this.leaveBehavior === 'stay'
+		) {
+			return;
+		}
+
+		const origin =
+			this.leaveBehavior === 'previous' ? this.hoverOrigin : null;
+
+		if ( origin === null ) {
+			if ( this.defaultMediaHTML && this.currentIndex !== null ) {
+				this.showDefaultMedia();
+			}
+		} else if ( origin !== this.currentIndex ) {
+			this.showItem( origin );
+		}
+	}
+
+	/**
+	 * Handle accordion item button click
+	 * @param {HTMLElement} itemButton - The clicked item button
+	 * @param {Event}       [e]        - The originating event
+	 */
+	handleItemClick( itemButton, e ) {
+		const item = itemButton.closest( CONFIG.SELECTORS.ACCORDION_ITEM );
+		if ( ! item ) {
+			return;
+		}
+
+		// Pointer clicks on slides are left to KeenSlider, while keyboard
+		// activation (Enter/Space reports a click with detail 0) still works
+		const isKeyboard = e && e.detail === 0;
+		if (
+			( this.mode === 'slider' && ! isKeyboard ) ||
+			this.mode === 'expanded'
+		) {
+			return;
+		}
+
+		const index = Array.from( this.items ).indexOf( item );
+		if ( index !== -1 && index !== this.currentIndex ) {
+			this.selectItem( index );
+		}
+	}
+
+	/**
+	 * Get the URL hash that links to an item
+	 *
+	 * Items with an HTML anchor use it, others fall back to `<uid>-item-<n>`
+	 * with a one-based item number.
+	 *
+	 * @param {number} index - The zero-based item index
+	 * @return {string} The anchor, without the leading `#`
+	 */
+	getItemAnchor( index ) {
+		return (
+			this.items[ index ].id || `${ this.idPrefix }-item-${ index + 1 }`
+		);
+	}
+
+	/**
+	 * Find the item a URL hash points to
+	 * @param {string} hash - The URL hash, with or without the leading `#`
+	 * @return {number} The zero-based item index, or -1 if none matches
+	 */
+	getIndexFromHash( hash ) {
+		let anchor = hash.replace( /^#/, '' );
+		if ( ! anchor ) {
+			return -1;
+		}
+
+		try {
+			anchor = decodeURIComponent( anchor );
+		} catch ( error ) {
+			return -1;
+		}
+
+		const byId = Array.from( this.items ).findIndex(
+			( item ) => item.id && item.id === anchor
+		);
+		if ( byId !== -1 ) {
+			return byId;
+		}
+
+		const prefix = `${ this.idPrefix }-item-`;
+		if ( ! anchor.startsWith( prefix ) ) {
+			return -1;
+		}
+
+		const number = parseInt( anchor.slice( prefix.length ), 10 );
+		return number >= 1 && number <= this.items.length ? number - 1 : -1;
+	}
+
+	/**
+	 * Open the item the current URL hash points to
+	 * @param {boolean} [scroll=false] - Whether to scroll the accordion into view
+	 * @return {boolean} True if the hash matched an item
+	 */
+	openFromHash( scroll = false ) {
+		const index = this.getIndexFromHash( window.location.hash );
+		if ( index === -1 ) {
+			return false;
+		}
+
+		// Scroll-driven accordions always scroll, that is how items open there
+		if ( this.isScrollDriven() ) {
+			this.scrollToItem( index );
+			return true;
+		}
+
+		if ( index !== this.currentIndex ) {
+			this.showItem( index );
+		}
+
+		if ( scroll ) {
+			this.accordion.scrollIntoView( {
+				behavior: Utils.prefersReducedMotion() ? 'auto' : 'smooth',
+				block: 'start',
+			} );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Open the linked item when the hash changes after load
+	 */
+	handleHashChange() {
+		this.openFromHash( this.deepLinkScroll );
+	}
+
+	/**
+	 * Point the URL hash at the active item without adding a history entry
+	 */
+	updateHash() {
+		if ( this.currentIndex === null ) {
+			return;
+		}
+
+		window.history.replaceState(
+			window.history.state,
+			'',
+			`#${ this.getItemAnchor( this.currentIndex ) }`
+		);
+	}
+
+	/**
+	 * Hold autoplay while a mouse pointer is over the accordion
+	 * @param {PointerEvent} e - The pointerenter event
+	 */
+	handlePointerEnter( e ) {
+		if ( e.pointerType === 'mouse' ) {
+			this.hoverOrigin = this.currentIndex;
+			this.hold( 'hover' );
+		}
+	}
+
+	/**
+	 * Release the hover hold when the mouse pointer leaves
+	 * @param {PointerEvent} e - The pointerleave event
+	 */
+	handlePointerLeave( e ) {
+		if ( e.pointerType === 'mouse' ) {
+			clearTimeout( this.hoverTimer );
+			this.restoreAfterHover();
+			this.release( 'hover' );
+		}
+	}
+
+	/**
+	 * Hold autoplay while keyboard focus is inside the accordion
+	 * @param {FocusEvent} e - The focusin event
+	 */
+	handleFocusIn( e ) {
+		// Mouse clicks focus buttons too, only keyboard focus should pause
+		if ( e.target.matches( ':focus-visible' ) ) {
+			this.hold( 'focus' );
+		}
+
+		// Focus activation opens items as keyboard focus moves onto them
+		const button = e.target.closest( CONFIG.SELECTORS.HEADER_BUTTON );
+		if ( this.activateOn === 'focus' && button ) {
+			this.handleItemClick( button );
+		}
+	}
+
+	/**
+	 * Release the focus hold once focus leaves the accordion
+	 * @param {FocusEvent} e - The focusout event
+	 */
+	handleFocusOut( e ) {
+		if ( ! this.accordion.contains( e.relatedTarget ) ) {
+			this.release( 'focus' );
+		}
+	}
+
+	/**
+	 * Pause or resume when the reduced motion preference changes
+	 * @param {MediaQueryListEvent} e - The media query change event
+	 */
+	handleReducedMotionChange( e ) {
+		if ( ! this.autoplayEnabled ) {
+			return;
+		}
+
+		if ( e.matches ) {
+			this.hold( 'reduced-motion' );
+			return;
+		}
+
+		this.release( 'reduced-motion' );
+
+		// Blocks that loaded with reduced motion started out paused
+		if ( this.wasReducedMotionPaused ) {
+			this.wasReducedMotionPaused = false;
+			this.resume();
+		}
+	}
+
+	/**
+	 * Temporarily pause autoplay for the given reason
+	 * @param {string} reason - Why autoplay is held, e.g. 'hover' or 'focus'
+	 */
+	hold( reason ) {
+		this.holds.add( reason );
+		this.pauseAnimation( reason );
+	}
+
+	/**
+	 * Release a temporary pause, resuming once no other hold remains
+	 * @param {string} reason - The reason passed to hold()
+	 */
+	release( reason ) {
+		if ( ! this.holds.delete( reason ) ) {
+			return;
+		}
+
+		if ( this.isVisible ) {
+			this.resumeAnimation( reason );
+		}
+	}
+
+	/**
+	 * Handle visibility changes from intersection observer
+	 * @param {boolean} isVisible - Whether the accordion is visible
+	 */
+	onVisibilityChange( isVisible ) {
+		this.isVisible = isVisible;
+
+		if ( isVisible ) {
+			// Initialize slider if needed and in slider mode
+			if ( this.mode === 'slider' && ! this.slider ) {
+				this.initSlider();
+			}
+			this.preloadNext();
+			// Start/resume animation if not manually paused by user
+			if ( ! this.wasUserPaused ) {
+				this.resumeAnimation();
+			}
+		} else {
+			// Pause animation when not visible
+			this.pauseAnimation();
+		}
+
+		this.syncClock();
+	}
+
+	/**
+	 * Subscribe to the shared clock only while visible and playing
+	 */
+	syncClock() {
+		// Scroll-driven accordions follow the page even while paused
+		if ( this.isVisible && ( ! this.isPaused || this.isScrollDriven() ) ) {
+			AccordionClock.add( this );
+		} else {
+			AccordionClock.remove( this );
+		}
+	}
+
+	/**
+	 * Advance the countdown by one frame of the shared clock
+	 * @param {number} delta - Milliseconds since the previous frame
+	 */
+	tick( delta ) {
+		if ( this.isScrollDriven() ) {
+			this.followScroll();
+			return;
+		}
+
+		// The countdown starts once the item's media is on screen
+		if ( this.isPaused || this.isMediaLoading ) {
+			return;
+		}
+
+		// Video-timed items follow playback and advance on `ended`
+		if ( this.isVideoTimed ) {
+			if ( this.activeVideo.duration ) {
+				this.setProgress(
+					this.activeVideo.currentTime / this.activeVideo.duration
+				);
+			}
+			return;
+		}
+
+		this.elapsed += delta;
+		this.setProgress(
+			this.duration > 0 ? Math.min( this.elapsed / this.duration, 1 ) : 1
+		);
+
+		if ( this.elapsed >= this.duration ) {
+			this.advance();
+		}
+	}
+
+	/**
+	 * Expose the active item's progress to CSS and theme code
+	 *
+	 * Writes `--progress` (0–1) and `data-progress` on the active item so
+	 * progress bars always match the real switch time.
+	 *
+	 * @param {number} progress - Progress of the current item, from 0 to 1
+	 */
+	setProgress( progress ) {
+		const item = this.items[ this.currentIndex ];
+		if ( ! item || progress === this.progress ) {
+			return;
+		}
+
+		this.progress = progress;
+		item.style.setProperty( CONFIG.DEFAULTS.CSS_PROGRESS_VAR, progress );
+		item.dataset.progress = progress.toFixed( 3 );
+
+		// The active slider dot shows the same progress
+		if ( this.slider ) {
+			this.contentContainer.parentElement.style.setProperty(
+				CONFIG.DEFAULTS.CSS_PROGRESS_VAR,
+				progress
+			);
+		}
+	}
+
+	/**
+	 * Pause animation due to visibility, hover or focus (not user action)
+	 * @param {string} [reason='visibility'] - Why the animation is paused
+	 */
+	pauseAnimation( reason = 'visibility' ) {
+		if ( ! this.isPaused ) {
+			this.isPaused = true;
+			this.syncClock();
+
+			// Update video playback
+			this.handleVideoPlayback();
+
+			// Add paused class for CSS animations
+			if ( this.items[ this.currentIndex ] ) {
+				this.items[ this.currentIndex ].classList.add(
+					CONFIG.SELECTORS.PAUSED_CLASS
+				);
+			}
+
+			this.updatePauseButton();
+			this.dispatch( CONFIG.EVENTS.PAUSE, { reason } );
+		}
+	}
+
+	/**
+	 * Resume animation due to visibility, hover or focus (not user action)
+	 * @param {string} [reason='visibility'] - Why the animation resumes
+	 */
+	resumeAnimation( reason = 'visibility' ) {
+		if ( this.holds.size > 0 ) {
+			return;
+		}
+
+		if ( this.isPaused && ! this.wasUserPaused ) {
+			this.isPaused = false;
+			this.syncClock();
+
+			// Update video playback
+			this.handleVideoPlayback();
+
+			// Remove paused class
+			if ( this.items[ this.currentIndex ] ) {
+				this.items[ this.currentIndex ].classList.remove(
+					CONFIG.SELECTORS.PAUSED_CLASS
+				);
+			}
+
+			this.updatePauseButton();
+			this.dispatch( CONFIG.EVENTS.RESUME, { reason } );
+		}
+	}
+
+	/**
+	 * Shows the accordion item at the specified index and manages the display cycle.
+	 *
+	 * @param {number}  index               - The zero-based index of the item to show
+	 * @param {boolean} [updateSlider=true] - Whether to update the slider component
+	 * @return {void}
+	 */
+	showItem( index, updateSlider = true ) {
+		if ( index < 0 || index >= this.items.length ) {
+			return;
+		}
+
+		const previousIndex = this.currentIndex;
+		this.hasEnded = false;
+
+		this.updateActiveItem( index, updateSlider );
+		this.updateMediaContent();
+		this.scheduleNextItem();
+
+		if ( previousIndex !== index ) {
+			// Every change the visitor makes, however they navigate, updates
+			// the link; autoplay doesn't
+			if ( this.deepLinkingEnabled && ! this.isAutoChange ) {
+				this.updateHash();
+			}
+
+			this.dispatch( CONFIG.EVENTS.CHANGE, { previousIndex } );
+		}
+	}
+
+	/**
+	 * Show the next item, wrapping around after the last one
+	 */
+	next() {
+		if ( this.items.length === 0 ) {
+			return;
+		}
+
+		this.selectItem( this.getNextIndex() );
+	}
+
+	/**
+	 * Show the previous item, wrapping around before the first one
+	 */
+	prev() {
+		if ( this.items.length === 0 ) {
+			return;
+		}
+
+		this.selectItem( this.getPrevIndex() );
+	}
+
+	/**
+	 * Show the item at the given index
+	 * @param {number} index - The zero-based index of the item to show
+	 */
+	goTo( index ) {
+		this.selectItem( parseInt( index, 10 ) );
+	}
+
+	/**
+	 * Open an item the visitor or theme code asked for
+	 *
+	 * Scroll-driven accordions follow the scroll position, so they scroll
+	 * to the item instead of switching to it, which the next scroll update
+	 * would undo.
+	 *
+	 * @param {number} index - The zero-based index of the item to show
+	 */
+	selectItem( index ) {
+		if ( index < 0 || index >= this.items.length ) {
+			return;
+		}
+
+		if ( this.isScrollDriven() ) {
+			this.scrollToItem( index );
+		} else {
+			this.showItem( index );
+		}
+	}
+
+	/**
+	 * Get the index that follows the current item
+	 * @return {number} The next index
+	 */
+	getNextIndex() {
+		if ( this.currentIndex === null ) {
+			return 0;
+		}
+
+		return ( this.currentIndex + 1 ) % this.items.length;
+	}
+
+	/**
+	 * Get the index that comes before the current item
+	 * @return {number} The previous index
+	 */
+	getPrevIndex() {
+		const index = this.currentIndex === null ? 0 : this.currentIndex;
+		return ( index - 1 + this.items.length ) % this.items.length;
+	}
+
+	/**
+	 * Move on to the next item once the current one has finished playing
+	 *
+	 * Applies the block's loop mode at the end of each cycle: keep looping,
+	 * stop, return to the default media, stop after N cycles, or shuffle.
+	 */
+	advance() {
+		// Only scrolling moves a scroll-driven accordion on
+		if ( this.isScrollDriven() ) {
+			return;
+		}
+
+		if ( this.isLastInCycle() ) {
+			this.cycleCount++;
+			this.dispatch( CONFIG.EVENTS.CYCLE, { cycle: this.cycleCount } );
+
+			if ( this.shouldStopAfterCycle() ) {
+				this.endAutoplay();
+				return;
+			}
+		}
+
+		this.isAutoChange = true;
+		this.showItem( this.getAutoplayNextIndex() );
+		this.isAutoChange = false;
+	}
+
+	/**
+	 * Check whether the current item is the last one of the autoplay cycle
+	 * @return {boolean} True if the cycle ends after the current item
+	 */
+	isLastInCycle() {
+		if ( this.currentIndex === null ) {
+			return false;
+		}
+
+		if ( this.loopMode === 'shuffle' ) {
+			return this.getShuffleQueue().length === 0;
+		}
+
+		return this.currentIndex === this.items.length - 1;
+	}
+
+	/**
+	 * Check whether autoplay should stop once the current cycle is complete
+	 * @return {boolean} True if autoplay stops
+	 */
+	shouldStopAfterCycle() {
+		switch ( this.loopMode ) {
+			case 'stop':
+			case 'default-media':
+				return true;
+			case 'cycles':
+				return this.cycleCount >= this.loopCount;
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Get the item autoplay moves to next
+	 * @return {number} The next index
+	 */
+	getAutoplayNextIndex() {
+		if ( this.loopMode !== 'shuffle' ) {
+			return this.getNextIndex();
+		}
+
+		if ( this.getShuffleQueue().length === 0 ) {
+			this.shuffleQueue = null;
+		}
+
+		// A single item leaves nothing to shuffle
+		const nextIndex = this.getShuffleQueue().shift();
+		return nextIndex === undefined ? this.getNextIndex() : nextIndex;
+	}
+
+	/**
+	 * Get the indices still to be shown in the current shuffled cycle
+	 *
+	 * A new cycle covers every item except the current one, so nothing
+	 * repeats back to back.
+	 *
+	 * @return {number[]} Remaining indices
+	 */
+	getShuffleQueue() {
+		if ( this.shuffleQueue === null ) {
+			this.shuffleQueue = Utils.shuffle(
+				Array.from( this.items.keys() ).filter(
+					( index ) => index !== this.currentIndex
+				)
+			);
+		} else {
+			// Items picked by the user in the meantime count as shown
+			this.shuffleQueue = this.shuffleQueue.filter(
+				( index ) => index !== this.currentIndex
+			);
+		}
+
+		return this.shuffleQueue;
+	}
+
+	/**
+	 * Stop autoplay at the end of a cycle
+	 *
+	 * Pressing play afterwards starts over from the first item.
+	 */
+	endAutoplay() {
+		if ( this.loopMode === 'default-media' && this.defaultMediaHTML ) {
+			this.showDefaultMedia();
+		}
+
+		this.pause( 'end' );
+		this.hasEnded = true;
+	}
+
+	/**
+	 * Deactivate all items and restore the block's default media
+	 */
+	showDefaultMedia() {
+		const previousIndex = this.currentIndex;
+
+		this.clearActiveItem();
+		this.currentIndex = null;
+		this.updateAriaState();
+
+		this.cancelMediaUpdate();
+		this.unbindVideoTiming();
+		this.isVideoTimed = false;
+		this.activeVideo = null;
+		this.unbindEmbed();
+		clearTimeout( this.leaveTimer );
+		this.mediaIndex = null;
+		this.placeMediaPane();
+		this.mediaContainer.innerHTML = this.defaultMediaHTML;
+		this.updateSoundButton();
+		this.updateCaption();
+		this.updateMediaLink();
+
+		this.scheduleNextItem();
+		this.dispatch( CONFIG.EVENTS.CHANGE, { previousIndex } );
+	}
+
+	/**
+	 * Remove active and paused classes and progress from all items
+	 */
+	clearActiveItem() {
+		this.items.forEach( ( item ) => {
+			item.classList.remove(
+				CONFIG.SELECTORS.ACTIVE_CLASS,
+				CONFIG.SELECTORS.PAUSED_CLASS
+			);
+			item.style.removeProperty( CONFIG.DEFAULTS.CSS_PROGRESS_VAR );
+			delete item.dataset.progress;
+		} );
+		this.progress = null;
+	}
+
+	/**
+	 * Updates the active item in the accordion by managing CSS classes and slider position.
+	 *
+	 * @param {number}  index               - The index of the item to make active
+	 * @param {boolean} [updateSlider=true] - Whether to update the slider position to match the active item
+	 * @description Removes active and paused classes from all items, adds active class to the specified item,
+	 * applies paused class if the accordion is paused, optionally updates slider position, and sets the current index.
+	 */
+	updateActiveItem( index, updateSlider = true ) {
+		this.clearActiveItem();
+
+		// Add active class to current item
+		this.items[ index ].classList.add( CONFIG.SELECTORS.ACTIVE_CLASS );
+
+		// Add paused class if needed
+		if ( this.isPaused ) {
+			this.items[ index ].classList.add( CONFIG.SELECTORS.PAUSED_CLASS );
+		}
+
+		// Update slider position if needed, jumping straight there for reduced motion
+		if ( this.slider && updateSlider ) {
+			this.slider.moveToIdx(
+				index,
+				false,
+				Utils.prefersReducedMotion() ? { duration: 0 } : undefined
+			);
+		}
+
+		this.currentIndex = index;
+		this.updateAriaState();
+		this.placeMediaPane();
+	}
+
+	/**
+	 * Update media content in the media container
+	 */
+	updateMediaContent() {
+		if ( ! this.mediaContainer ) {
+			return;
+		}
+
+		// Guard against null currentIndex
+		if ( this.currentIndex === null || ! this.items[ this.currentIndex ] ) {
+			return;
+		}
+
+		const entry = this.preloader.take( this.currentIndex );
+		if ( ! entry ) {
+			return;
+		}
+
+		const direction = this.getTransitionDirection(
+			this.mediaIndex,
+			this.currentIndex
+		);
+		this.mediaIndex = this.currentIndex;
+
+		// Keep the outgoing media on screen until the incoming one is ready
+		const request = ++this.mediaRequest;
+		this.isMediaLoading = true;
+
+		entry.ready.then( () => {
+			if ( request !== this.mediaRequest ) {
+				return;
+			}
+
+			this.isMediaLoading = false;
+			this.showMedia( entry.fragment, entry.media, direction );
+			this.preloadNext();
+		} );
+	}
+
+	/**
+	 * Get the slide direction from one item to another
+	 *
+	 * Single steps keep their direction across the wrap-around, so looping
+	 * from the last item back to the first still moves forward.
+	 *
+	 * @param {number|null} from - Index of the outgoing item
+	 * @param {number}      to   - Index of the incoming item
+	 * @return {string} 'forward' or 'backward'
+	 */
+	getTransitionDirection( from, to ) {
+		const count = this.items.length;
+
+		if ( from === null || to === ( from + 1 ) % count ) {
+			return 'forward';
+		}
+
+		if ( to === ( from - 1 + count ) % count ) {
+			return 'backward';
+		}
+
+		return to > from ? 'forward' : 'backward';
+	}
+
+	/**
+	 * Read the media transition duration from the block's CSS
+	 * @return {number} Duration in milliseconds
+	 */
+	getTransitionDuration() {
+		const value = window
+			.getComputedStyle( this.accordion )
+			.getPropertyValue( CONFIG.DEFAULTS.CSS_TRANSITION_VAR )
+			.trim();
+		const time = parseFloat( value );
+
+		if ( isNaN( time ) ) {
+			return CONFIG.DEFAULTS.TRANSITION_DURATION;
+		}
+
+		return value.endsWith( 'ms' ) ? time : time * 1000;
+	}
+
+	/**
+	 * Transition from the media in the pane to prepared media
+	 *
+	 * The outgoing media stays in the pane, marked as leaving, until the
+	 * block's transition has finished.
+	 *
+	 * @param {DocumentFragment} fragment  - Imported media template content
+	 * @param {HTMLElement|null} media     - The image or video in the fragment
+	 * @param {string}           direction - 'forward' or 'backward', for slides
+	 */
+	showMedia( fragment, media, direction ) {
+		// Handle video autoplay based on pause state
+		const video = media && media.tagName === 'VIDEO' ? media : null;
+		if ( video ) {
+			video.autoplay =
+				! this.isScrubbing() &&
+				( ! this.isPaused ||
+					( ! this.autoplayEnabled &&
+						! Utils.prefersReducedMotion() ) );
+		}
+
+		// Media left over from an interrupted transition goes right away
+		this.removeLeavingMedia();
+		this.unbindEmbed();
+
+		const outgoing = Array.from( this.mediaContainer.children ).filter(
+			( element ) => element !== this.mediaLink
+		);
+		const incoming = Array.from( fragment.children );
+
+		outgoing.forEach( ( element ) => {
+			element.classList.remove( CONFIG.SELECTORS.ACTIVE_CLASS );
+			element.classList.add( CONFIG.SELECTORS.LEAVING_CLASS );
+			if ( element.tagName === 'VIDEO' ) {
+				element.muted = true;
+			}
+		} );
+
+		// Videos that allow sound follow the visitor's last mute choice
+		if ( video && video.dataset.sound === 'true' ) {
+			video.muted = this.isMuted;
+		}
+
+		// Ken Burns pans run for as long as the item is shown
+		incoming.forEach( ( element ) =>
+			element.style.setProperty(
+				CONFIG.DEFAULTS.CSS_DURATION_VAR,
+				`${ this.duration }ms`
+			)
+		);
+
+		this.mediaContainer.dataset.direction = direction;
+		this.mediaContainer.appendChild( fragment );
+		this.updateCaption();
+		this.updateMediaLink();
+		this.bindVideoTiming( video );
+		this.bindEmbed(
+			incoming.find( ( element ) =>
+				element.matches( CONFIG.SELECTORS.EMBED )
+			)
+		);
+
+		// A preloaded video has already buffered, so autoplay won't kick in
+		if ( video && video.autoplay ) {
+			this.playVideo( video );
+		}
+		this.updateSoundButton();
+
+		// Switch immediately for reduced motion users and the 'none' transition
+		if ( Utils.prefersReducedMotion() || this.transition === 'none' ) {
+			this.removeLeavingMedia();
+			incoming.forEach( ( element ) =>
+				element.classList.add( CONFIG.SELECTORS.ACTIVE_CLASS )
+			);
+			return;
+		}
+
+		// Force reflow before the transition - use double rAF to ensure browser has painted initial state
+		requestAnimationFrame( () => {
+			requestAnimationFrame( () => {
+				incoming.forEach( ( element ) =>
+					element.classList.add( CONFIG.SELECTORS.ACTIVE_CLASS )
+				);
+			} );
+		} );
+
+		this.leaveTimer = setTimeout(
+			() => this.removeLeavingMedia(),
+			this.transitionDuration
+		);
+	}
+
+	/**
+	 * Remove outgoing media from the media pane
+	 */
+	removeLeavingMedia() {
+		clearTimeout( this.leaveTimer );
+		this.mediaContainer
+			.querySelectorAll( `:scope > .${ CONFIG.SELECTORS.LEAVING_CLASS }` )
+			.forEach( ( element ) => element.remove() );
+	}
+
+	/**
+	 * Drop a media switch that is still waiting for its media
+	 */
+	cancelMediaUpdate() {
+		this.mediaRequest++;
+		this.isMediaLoading = false;
+	}
+
+	/**
+	 * Warm up the media of the item that plays next
+	 *
+	 * Skipped while the accordion is off screen and for visitors who asked
+	 * the browser to save data.
+	 */
+	preloadNext() {
+		if (
+			! this.isVisible ||
+			this.currentIndex === null ||
+			this.items.length < 2 ||
+			Utils.prefersSaveData()
+		) {
+			return;
+		}
+
+		const nextIndex =
+			this.loopMode === 'shuffle' && this.shuffleQueue?.length
+				? this.shuffleQueue[ 0 ]
+				: this.getNextIndex();
+
+		this.preloader.preload( nextIndex );
+	}
+
+	/**
+	 * Schedule the next item to be shown
+	 *
+	 * Restarts the countdown for the current item; the shared clock runs it
+	 * down while the accordion is visible and playing.
+	 */
+	scheduleNextItem() {
+		this.duration = this.getAnimationDuration();
+		this.elapsed = 0;
+		this.setProgress( 0 );
+	}
+
+	/**
+	 * Let the active video drive item timing when the item asks for it
+	 *
+	 * The item advances when the video ends and its progress follows
+	 * `currentTime / duration` on each clock tick, so buffering stalls hold
+	 * the countdown too.
+	 *
+	 * @param {HTMLVideoElement|null} video - The video in the media container
+	 */
+	bindVideoTiming( video ) {
+		this.unbindVideoTiming();
+
+		const item = this.items[ this.currentIndex ];
+		this.isVideoTimed = !! video && item.dataset.timing === 'video';
+		this.activeVideo = this.isVideoTimed ? video : null;
+		item.classList.toggle(
+			CONFIG.SELECTORS.VIDEO_TIMED_CLASS,
+			this.isVideoTimed
+		);
+
+		if ( ! this.isVideoTimed ) {
+			return;
+		}
+
+		// The video may have failed while it was preloading, before the
+		// error listener below existed
+		if (
+			video.error ||
+			video.networkState === window.HTMLMediaElement.NETWORK_NO_SOURCE
+		) {
+			this.fallBackToTimer( item );
+			return;
+		}
+
+		// Only loop when nothing would advance past the video
+		video.loop = ! this.autoplayEnabled;
+
+		this.videoTimingController = new window.AbortController();
+		const { signal } = this.videoTimingController;
+
+		video.addEventListener(
+			'ended',
+			() => {
+				if ( ! this.isPaused ) {
+					this.advance();
+				}
+			},
+			{ signal }
+		);
+		video.addEventListener( 'error', () => this.fallBackToTimer( item ), {
+			signal,
+		} );
+	}
+
+	/**
+	 * Remove listeners from the previously bound video
+	 */
+	unbindVideoTiming() {
+		if ( this.videoTimingController ) {
+			this.videoTimingController.abort();
+			this.videoTimingController = null;
+		}
+	}
+
+	/**
+	 * Drive a YouTube or Vimeo item through the provider's player
+	 *
+	 * Once the visitor starts the video, the item is timed by it like a
+	 * video-timed native video.
+	 *
+	 * @param {HTMLElement|undefined} element - Embed facade in the media pane
+	 */
+	bindEmbed( element ) {
+		if ( ! element ) {
+			return;
+		}
+
+		const item = this.items[ this.currentIndex ];
+		const player = createEmbedPlayer( element, {
+			onStart: () => {
+				this.isVideoTimed = true;
+				this.activeVideo = player;
+				item.classList.add( CONFIG.SELECTORS.VIDEO_TIMED_CLASS );
+			},
+			onEnd: () => this.handleEmbedEnded(),
+		} );
+
+		this.activeEmbed = player;
+	}
+
+	/**
+	 * Pause and release the current embed player
+	 */
+	unbindEmbed() {
+		if ( this.activeEmbed ) {
+			this.activeEmbed.pause();
+			this.activeEmbed.destroy();
+			this.activeEmbed = null;
+		}
+	}
+
+	/**
+	 * Move on once an embedded video has played to the end
+	 */
+	handleEmbedEnded() {
+		if ( ! this.isPaused ) {
+			this.advance();
+			return;
+		}
+
+		// Held by hover or focus: advance as soon as the timer runs again
+		this.isVideoTimed = false;
+		this.activeVideo = null;
+		this.elapsed = this.duration;
+	}
+
+	/**
+	 * Switch a video-timed item to the fixed duration timer
+	 * @param {HTMLElement} item - The item whose video failed to load
+	 */
+	fallBackToTimer( item ) {
+		this.unbindVideoTiming();
+		this.isVideoTimed = false;
+		this.activeVideo = null;
+		item.classList.remove( CONFIG.SELECTORS.VIDEO_TIMED_CLASS );
+
+		this.scheduleNextItem();
+	}
+
+	/**
+	 * Get animation duration from CSS variable
+	 * @return {number} Duration in milliseconds
+	 */
+	getAnimationDuration() {
+		// Guard against null currentIndex
+		if ( this.currentIndex === null || ! this.items[ this.currentIndex ] ) {
+			return CONFIG.DEFAULTS.ANIMATION_DURATION;
+		}
+
+		const currentItem = this.items[ this.currentIndex ];
+		const duration = window
+			.getComputedStyle( currentItem )
+			.getPropertyValue( CONFIG.DEFAULTS.CSS_DURATION_VAR );
+
+		if ( ! duration ) {
+			return CONFIG.DEFAULTS.ANIMATION_DURATION;
+		}
+
+		return duration.includes( 'ms' )
+			? parseFloat( duration )
+			: parseFloat( duration ) * 1000;
+	}
+
+	/**
+	 * Toggle pause/resume state
+	 *
+	 * Follows the visitor's own pause, not `isPaused`, so the button still
+	 * works while hover, focus or visibility holds pause the animation.
+	 */
+	togglePause() {
+		if ( this.wasUserPaused ) {
+			this.resume();
+		} else {
+			this.pause();
+		}
+
+		this.handleVideoPlayback();
+	}
+
+	/**
+	 * Play a video, falling back to muted playback when the browser's
+	 * autoplay policy refuses it with sound
+	 * @param {HTMLVideoElement} video - The video to play
+	 */
+	playVideo( video ) {
+		video.play().catch( () => {
+			if ( ! video.muted ) {
+				video.muted = true;
+				this.isMuted = true;
+				this.updateSoundButton();
+				video.play().catch( () => {} );
+			}
+		} );
+	}
+
+	/**
+	 * Handle video playback based on pause state
+	 */
+	handleVideoPlayback() {
+		if ( ! this.mediaContainer ) {
+			return;
+		}
+
+		const video = this.mediaContainer.querySelector(
+			`video:not(.${ CONFIG.SELECTORS.LEAVING_CLASS })`
+		);
+		if ( video ) {
+			if ( this.isPaused || this.isScrubbing() ) {
+				video.pause();
+			} else {
+				this.playVideo( video );
+			}
+		}
+
+		// Embeds are started by the visitor, so hover and focus holds leave
+		// them playing; only the pause button and scrolling away stop them
+		if ( this.activeEmbed && this.activeEmbed.isLoaded ) {
+			if (
+				! this.isVisible ||
+				( this.autoplayEnabled && this.wasUserPaused )
+			) {
+				this.activeEmbed.pause();
+			} else {
+				this.activeEmbed.play();
+			}
+		}
+	}
+
+	/**
+	 * Pause the accordion (user action)
+	 * @param {string} [reason='user'] - Reason reported in the pause event
+	 */
+	pause( reason = 'user' ) {
+		if ( this.wasUserPaused ) {
+			return;
+		}
+
+		this.wasUserPaused = true;
+		this.isPaused = true;
+		this.syncClock();
+
+		// Update UI
+		this.updatePauseButton();
+
 		// Guard against null currentIndex
 		if ( this.currentIndex !== null && this.items[ this.currentIndex ] ) {
 			this.items[ this.currentIndex ].classList.add(
@@ -534,112 +2036,803 @@ export class MediaAccordion {
 			);
 		}
 
-		this.handleVideoPlayback();
+		this.handleVideoPlayback();
+
+		this.dispatch( CONFIG.EVENTS.PAUSE, { reason } );
+	}
+
+	/**
+	 * Resume the accordion (user action)
+	 */
+	resume() {
+		if ( ! this.wasUserPaused ) {
+			return;
+		}
+
+		this.wasUserPaused = false;
+		this.wasReducedMotionPaused = false;
+		this.updatePauseButton();
+
+		// An explicit resume overrides hover, focus and reduced motion holds
+		// until they re-arm; the expanded layout, the lightbox and drags keep
+		// theirs and resume the animation on release
+		[ 'hover', 'focus', 'reduced-motion' ].forEach( ( reason ) =>
+			this.holds.delete( reason )
+		);
+
+		// Start over once autoplay has stopped at the end of a cycle
+		if ( this.hasEnded ) {
+			this.cycleCount = 0;
+			this.shuffleQueue = null;
+			this.showItem( 0 );
+		}
+
+		// Stay paused until the visibility manager or the last hold resumes
+		// the animation
+		if ( ! this.isVisible || this.holds.size > 0 ) {
+			this.dispatch( CONFIG.EVENTS.RESUME, { reason: 'user' } );
+			return;
+		}
+
+		this.isPaused = false;
+		this.syncClock();
+
+		// Guard against null currentIndex
+		if ( this.currentIndex !== null && this.items[ this.currentIndex ] ) {
+			this.items[ this.currentIndex ].classList.remove(
+				CONFIG.SELECTORS.PAUSED_CLASS
+			);
+		}
+
+		this.handleVideoPlayback();
+
+		this.dispatch( CONFIG.EVENTS.RESUME, { reason: 'user' } );
+	}
+
+	/**
+	 * Get a snapshot of the accordion state
+	 * @return {Object} Current index, item, pause and display state
+	 */
+	getState() {
+		return {
+			uid: this.uid,
+			index: this.currentIndex,
+			item:
+				this.currentIndex !== null
+					? this.items[ this.currentIndex ]
+					: null,
+			itemCount: this.items.length,
+			cycleCount: this.cycleCount,
+			hasEnded: this.hasEnded,
+			isPaused: this.isPaused,
+			isUserPaused: this.wasUserPaused,
+			isVisible: this.isVisible,
+			mode: this.mode,
+			isSlider: !! this.slider,
+			autoplay: this.autoplayEnabled,
+			duration: this.duration,
+			remainingTime: Math.max( 0, this.duration - this.elapsed ),
+			progress: this.progress || 0,
+		};
+	}
+
+	/**
+	 * Dispatch a bubbling custom event from the accordion element
+	 * @param {string} name     - Event name from CONFIG.EVENTS
+	 * @param {Object} [detail] - Extra event detail
+	 */
+	dispatch( name, detail = {} ) {
+		this.accordion.dispatchEvent(
+			new window.CustomEvent( name, {
+				bubbles: true,
+				detail: {
+					accordion: this,
+					index: this.currentIndex,
+					item:
+						this.currentIndex !== null
+							? this.items[ this.currentIndex ]
+							: null,
+					...detail,
+				},
+			} )
+		);
+	}
+
+	/**
+	 * Update pause button icon and state
+	 *
+	 * The button shows what a click does: it resumes after the visitor (or
+	 * the end of autoplay) paused, and pauses otherwise, including while
+	 * a hover, focus or visibility hold is active.
+	 */
+	updatePauseButton() {
+		if ( ! this.pauseButton ) {
+			return;
+		}
+
+		this.pauseButton.innerHTML = this.wasUserPaused
+			? CONFIG.ICONS.PLAY
+			: CONFIG.ICONS.PAUSE;
+		this.pauseButton.setAttribute(
+			'aria-label',
+			this.wasUserPaused ? 'Resume' : 'Pause'
+		);
 	}
 
 	/**
-	 * Resume the accordion (user action)
+	 * Add a mute/unmute button next to the pause button
+	 *
+	 * Only added when at least one item video allows sound. The button is
+	 * created at runtime because the parent block can't see item settings
+	 * when it is saved.
 	 */
-	resume() {
-		if ( ! this.isPaused ) {
+	createSoundButton() {
+		const hasSound = Array.from( this.items ).some( ( item ) =>
+			item
+				.querySelector( CONFIG.SELECTORS.MEDIA_TEMPLATE )
+				?.content.querySelector( 'video[data-sound]' )
+		);
+
+		if ( ! hasSound || ! this.pauseButton ) {
 			return;
 		}
 
-		this.wasUserPaused = false;
-		this.isPaused = false;
+		this.soundButton = document.createElement( 'button' );
+		this.soundButton.type = 'button';
+		this.soundButton.className = CONFIG.SELECTORS.SOUND_BUTTON_CLASS;
+		this.pauseButton.after( this.soundButton );
+		this.updateSoundButton();
+	}
 
-		// Only schedule next item if accordion is visible
-		if ( this.isVisible ) {
-			if ( ! this.hasStartedAnimation ) {
-				this.hasStartedAnimation = true;
-				this.scheduleNextItem();
-			} else {
-				this.startTime = Date.now();
-				this.timeoutId = setTimeout( () => {
-					this.showItem(
-						( this.currentIndex + 1 ) % this.items.length
-					);
-				}, this.remainingTime );
+	/**
+	 * Get the active video if it allows sound
+	 * @return {HTMLVideoElement|null} The video, if any
+	 */
+	getSoundVideo() {
+		return this.mediaContainer
+			? this.mediaContainer.querySelector(
+					`video[data-sound]:not(.${ CONFIG.SELECTORS.LEAVING_CLASS })`
+			  )
+			: null;
+	}
+
+	/**
+	 * Turn the sound of videos on or off
+	 */
+	toggleSound() {
+		this.isMuted = ! this.isMuted;
+
+		const video = this.getSoundVideo();
+		if ( video ) {
+			video.muted = this.isMuted;
+		}
+
+		this.updateSoundButton();
+	}
+
+	/**
+	 * Update the sound button icon and label, and show it only for videos that allow sound
+	 */
+	updateSoundButton() {
+		if ( ! this.soundButton ) {
+			return;
+		}
+
+		this.soundButton.hidden = ! this.getSoundVideo();
+		this.soundButton.innerHTML = this.isMuted
+			? CONFIG.ICONS.SOUND_OFF
+			: CONFIG.ICONS.SOUND_ON;
+		this.soundButton.setAttribute(
+			'aria-label',
+			this.isMuted ? 'Unmute' : 'Mute'
+		);
+	}
+
+	/**
+	 * Add the button that opens the media full size next to the pause button
+	 */
+	createExpandButton() {
+		if (
+			this.accordion.dataset.lightbox !== 'true' ||
+			! this.pauseButton
+		) {
+			return;
+		}
+
+		this.expandButton = document.createElement( 'button' );
+		this.expandButton.type = 'button';
+		this.expandButton.className = CONFIG.SELECTORS.EXPAND_BUTTON_CLASS;
+		this.expandButton.setAttribute( 'aria-label', 'View full size' );
+		this.expandButton.setAttribute( 'aria-haspopup', 'dialog' );
+		this.expandButton.innerHTML = CONFIG.ICONS.EXPAND;
+		( this.soundButton || this.pauseButton ).after( this.expandButton );
+	}
+
+	/**
+	 * Show the media in the media pane full size
+	 *
+	 * Native videos go fullscreen with the Fullscreen API, everything else
+	 * opens in the lightbox dialog. Autoplay is held until either closes.
+	 */
+	openLightbox() {
+		const video = this.mediaContainer
+			? this.mediaContainer.querySelector(
+					`video:not(.${ CONFIG.SELECTORS.LEAVING_CLASS })`
+			  )
+			: null;
+
+		if ( video && document.fullscreenEnabled ) {
+			this.openVideoFullscreen( video );
+		} else {
+			this.openLightboxDialog();
+		}
+	}
+
+	/**
+	 * Open the lightbox dialog with the media of the active item
+	 */
+	openLightboxDialog() {
+		this.hold( 'lightbox' );
+
+		if ( ! this.lightbox ) {
+			this.lightbox = createLightbox( {
+				onPrev: () => this.stepLightbox( -1 ),
+				onNext: () => this.stepLightbox( 1 ),
+				onClose: () => this.handleLightboxClose(),
+				hasNavigation: this.items.length > 1,
+			} );
+		}
+
+		this.lightboxIndex = this.currentIndex;
+		this.lightbox.open( ...this.createLightboxContent() );
+	}
+
+	/**
+	 * Play a media pane video fullscreen, with native controls
+	 * @param {HTMLVideoElement} video - Video in the media pane
+	 */
+	openVideoFullscreen( video ) {
+		const handleChange = () => {
+			if ( document.fullscreenElement === video ) {
+				return;
+			}
+
+			document.removeEventListener( 'fullscreenchange', handleChange );
+			video.controls = false;
+
+			// Nothing to resume once the accordion was destroyed
+			if ( this.fullscreenVideo === video ) {
+				this.fullscreenVideo = null;
+				this.release( 'lightbox' );
 			}
+		};
+
+		this.hold( 'lightbox' );
+		document.addEventListener( 'fullscreenchange', handleChange );
+		this.fullscreenVideo = video;
+		video.controls = true;
+		video
+			.requestFullscreen()
+			.then( () => video.play().catch( () => {} ) )
+			.catch( () => {
+				// Browsers may refuse fullscreen, the dialog still works
+				handleChange();
+				this.openLightboxDialog();
+			} );
+	}
+
+	/**
+	 * Build the lightbox content for an item, or the default media
+	 * @param {number|null} [index] - Item index, the active item by default
+	 * @return {Array} The element holding the media, and the dialog label
+	 */
+	createLightboxContent( index = this.currentIndex ) {
+		const item = index !== null ? this.items[ index ] : null;
+		const className = `${ CONFIG.SELECTORS.LIGHTBOX_CLASS }-media`;
+		const figure = document.createElement( 'figure' );
+		let media = item ? this.cloneItemMedia( item, className ) : null;
+
+		if ( ! media ) {
+			media = document.createElement( 'div' );
+			media.className = className;
+			media.innerHTML = this.defaultMediaHTML;
 		}
 
-		// Update UI
-		this.updatePauseButton();
+		media.querySelectorAll( 'video' ).forEach( ( video ) => {
+			video.controls = true;
+			video.autoplay = ! Utils.prefersReducedMotion();
+		} );
 
-		// Guard against null currentIndex
-		if ( this.currentIndex !== null && this.items[ this.currentIndex ] ) {
-			this.items[ this.currentIndex ].classList.remove(
-				CONFIG.SELECTORS.PAUSED_CLASS
-			);
+		const embed = media.querySelector( CONFIG.SELECTORS.EMBED );
+		if ( embed ) {
+			this.lightboxPlayer = createEmbedPlayer( embed, {
+				onStart: () => {},
+				onEnd: () => {},
+			} );
 		}
 
-		this.handleVideoPlayback();
+		figure.appendChild( media );
+
+		if ( item?.dataset.caption ) {
+			const caption = document.createElement( 'figcaption' );
+			caption.textContent = item.dataset.caption;
+			figure.appendChild( caption );
+		}
+
+		const title = this.headerButtons[ index ]?.textContent.trim() || '';
+		return [ figure, title || 'Media' ];
 	}
 
 	/**
-	 * Update pause button icon and state
+	 * Change item from inside the lightbox and show its media there
+	 *
+	 * Steps from the item in the lightbox rather than the active item, since
+	 * a scroll-driven accordion only gets there once the page has scrolled.
+	 *
+	 * @param {number} step - 1 for the next item, -1 for the previous one
 	 */
-	updatePauseButton() {
-		if ( ! this.pauseButton ) {
+	stepLightbox( step ) {
+		const count = this.items.length;
+		let from = this.lightboxIndex;
+
+		// From the default media, next is the first item and previous the last
+		if ( from === null ) {
+			from = step > 0 ? -1 : 0;
+		}
+
+		const index = ( from + step + count ) % count;
+		this.lightboxIndex = index;
+		this.destroyLightboxPlayer();
+		this.selectItem( index );
+		this.lightbox.show( ...this.createLightboxContent( index ) );
+	}
+
+	/**
+	 * Stop the embed player of the lightbox, if any
+	 */
+	destroyLightboxPlayer() {
+		if ( this.lightboxPlayer ) {
+			this.lightboxPlayer.destroy();
+			this.lightboxPlayer = null;
+		}
+	}
+
+	/**
+	 * Clean up once the lightbox closed and resume autoplay
+	 */
+	handleLightboxClose() {
+		this.lightboxIndex = null;
+		this.destroyLightboxPlayer();
+		this.release( 'lightbox' );
+		if ( this.expandButton ) {
+			this.expandButton.focus();
+		}
+	}
+
+	/**
+	 * Add a caption overlay after the media pane
+	 *
+	 * Only added when at least one item has a caption. It is a polite live
+	 * region, so the caption is read out when the item changes, and stays in
+	 * the DOM while empty for that to work.
+	 */
+	createCaption() {
+		const hasCaption = Array.from( this.items ).some(
+			( item ) => item.dataset.caption
+		);
+
+		if ( ! hasCaption || ! this.mediaContainer ) {
 			return;
 		}
 
-		this.pauseButton.innerHTML = this.isPaused
-			? CONFIG.ICONS.PLAY
-			: CONFIG.ICONS.PAUSE;
-		this.pauseButton.setAttribute(
+		this.caption = document.createElement( 'div' );
+		this.caption.className = CONFIG.SELECTORS.CAPTION_CLASS;
+		this.caption.setAttribute( 'aria-live', 'polite' );
+		this.mediaContainer.after( this.caption );
+	}
+
+	/**
+	 * Show the caption of the item whose media is in the media pane
+	 */
+	updateCaption() {
+		if ( ! this.caption ) {
+			return;
+		}
+
+		const item =
+			this.mediaIndex !== null ? this.items[ this.mediaIndex ] : null;
+		this.caption.textContent = item?.dataset.caption || '';
+	}
+
+	/**
+	 * Add the link that makes the media pane a call to action
+	 *
+	 * Only added when at least one item has a link. It lives inside the
+	 * media pane, on top of the media, so swipes on the pane still work and
+	 * it follows the pane when it moves into an item.
+	 */
+	createMediaLink() {
+		const hasLink = Array.from( this.items ).some(
+			( item ) => item.dataset.linkUrl
+		);
+
+		if ( ! hasLink || ! this.mediaContainer ) {
+			return;
+		}
+
+		this.mediaLink = document.createElement( 'a' );
+		this.mediaLink.className = CONFIG.SELECTORS.MEDIA_LINK_CLASS;
+		this.mediaLink.hidden = true;
+	}
+
+	/**
+	 * Point the media link at the link of the item whose media is shown
+	 *
+	 * External videos keep the pane to themselves, since the link would
+	 * cover their play button and the player.
+	 */
+	updateMediaLink() {
+		if ( ! this.mediaLink ) {
+			return;
+		}
+
+		const item =
+			this.mediaIndex !== null ? this.items[ this.mediaIndex ] : null;
+		const url = Utils.getSafeUrl( item?.dataset.linkUrl );
+		const isEmbed = !! item
+			?.querySelector( CONFIG.SELECTORS.MEDIA_TEMPLATE )
+			?.content.querySelector( CONFIG.SELECTORS.EMBED );
+
+		if ( ! url || isEmbed ) {
+			this.mediaLink.hidden = true;
+			this.mediaLink.removeAttribute( 'href' );
+			return;
+		}
+
+		const title =
+			this.headerButtons[ this.mediaIndex ]?.textContent.trim() || '';
+
+		this.mediaLink.href = url;
+		this.mediaLink.target = item.dataset.linkTarget || '';
+		this.mediaLink.rel = item.dataset.linkRel || '';
+		this.mediaLink.setAttribute(
 			'aria-label',
-			this.isPaused ? 'Resume' : 'Pause'
+			title ? `Open: ${ title }` : 'Open link'
+		);
+		this.mediaLink.hidden = false;
+
+		// Stay above incoming media, and come back after the default media
+		this.mediaContainer.appendChild( this.mediaLink );
+	}
+
+	/**
+	 * Copy an item's media out of its template
+	 * @param {HTMLElement} item      - Accordion item
+	 * @param {string}      className - Class of the element holding the copy
+	 * @return {HTMLElement|null} The element holding the media, or null without a template
+	 */
+	cloneItemMedia( item, className ) {
+		const template = item.querySelector( CONFIG.SELECTORS.MEDIA_TEMPLATE );
+		if ( ! template || ! template.content ) {
+			return null;
+		}
+
+		const element = document.createElement( 'div' );
+		element.className = className;
+		element.appendChild( document.importNode( template.content, true ) );
+		element.querySelectorAll( 'video' ).forEach( ( video ) => {
+			video.preload = 'metadata';
+			video.muted = true;
+		} );
+		Array.from( element.children ).forEach( ( media ) =>
+			media.classList.add( CONFIG.SELECTORS.ACTIVE_CLASS )
 		);
+
+		return element;
+	}
+
+	/**
+	 * Put a static copy of each item's media behind its strip
+	 *
+	 * Only used by the expanding panels layout, where every strip shows its
+	 * own media. The live media pane moves into the active strip on top of
+	 * its copy, see placeMediaPane().
+	 */
+	createStripMedia() {
+		if ( ! this.isStripLayout ) {
+			return;
+		}
+
+		this.stripMedia = Array.from( this.items ).map( ( item ) => {
+			const strip = this.cloneItemMedia(
+				item,
+				CONFIG.SELECTORS.STRIP_MEDIA_CLASS
+			);
+			if ( ! strip ) {
+				return null;
+			}
+
+			// Videos show their poster or first frame, embeds their thumbnail
+			strip.setAttribute( 'aria-hidden', 'true' );
+			strip.inert = true;
+			strip
+				.querySelectorAll( CONFIG.SELECTORS.EMBED_PLAY_BUTTON )
+				.forEach( ( button ) => button.remove() );
+
+			item.prepend( strip );
+			return strip;
+		} );
+	}
+
+	/**
+	 * Show every item's media inside the item, for the expanded mobile mode
+	 *
+	 * Videos get native controls and embeds keep their click-to-load
+	 * facade, since nothing plays automatically in this mode.
+	 */
+	createInlineMedia() {
+		this.removeInlineMedia();
+
+		this.inlineMedia = Array.from( this.items ).map( ( item, index ) => {
+			const media = this.cloneItemMedia(
+				item,
+				CONFIG.SELECTORS.INLINE_MEDIA_CLASS
+			);
+			if ( ! media ) {
+				return null;
+			}
+
+			media
+				.querySelectorAll( 'video' )
+				.forEach( ( video ) => ( video.controls = true ) );
+			media
+				.querySelectorAll( CONFIG.SELECTORS.EMBED )
+				.forEach( ( embed ) => {
+					const player = createEmbedPlayer( embed, {
+						onStart: () => {},
+						onEnd: () => {},
+					} );
+					if ( player ) {
+						this.inlinePlayers.push( player );
+					}
+				} );
+
+			const header = this.headerButtons[ index ]?.closest(
+				CONFIG.SELECTORS.ITEM_HEADER
+			);
+			if ( header ) {
+				header.after( media );
+			} else {
+				item.prepend( media );
+			}
+			return media;
+		} );
+	}
+
+	/**
+	 * Remove the media added by createInlineMedia()
+	 */
+	removeInlineMedia() {
+		this.inlinePlayers.forEach( ( player ) => player.destroy() );
+		this.inlinePlayers = [];
+		this.inlineMedia.forEach( ( media ) => media && media.remove() );
+		this.inlineMedia = [];
+	}
+
+	/**
+	 * Move the media pane into the item showing it, or back to its place
+	 *
+	 * In the expanding panels layout the active strip hosts the live media,
+	 * and in the stacked mobile mode the open item does, so videos play and
+	 * transitions run inside it. Without an active item, and in the other
+	 * modes, the pane sits in the media container as usual.
+	 */
+	placeMediaPane() {
+		if ( ! this.mediaContainer ) {
+			return;
+		}
+
+		const hostsMedia =
+			this.mode === 'stacked' ||
+			( this.mode === 'desktop' && this.isStripLayout );
+		const item =
+			hostsMedia && this.currentIndex !== null
+				? this.items[ this.currentIndex ]
+				: null;
+
+		if ( ! item ) {
+			if ( this.mediaContainer.parentElement !== this.mediaHome ) {
+				this.mediaHome.prepend( this.mediaContainer );
+			}
+			return;
+		}
+
+		// In stacked mode it goes inside the content, so it folds away with
+		// the closing item
+		const host =
+			this.mode === 'stacked'
+				? item.querySelector( CONFIG.SELECTORS.ITEM_CONTENT_WRAP ) ||
+				  item
+				: item;
+
+		// Moving a loaded embed would reload its iframe
+		if ( this.mediaContainer.parentElement === host ) {
+			return;
+		}
+
+		const strip =
+			this.mode === 'desktop'
+				? this.stripMedia[ this.currentIndex ]
+				: null;
+		if ( strip ) {
+			strip.after( this.mediaContainer );
+		} else {
+			host.prepend( this.mediaContainer );
+		}
 	}
 
 	/**
-	 * Clear the current timer
+	 * Put the saved markup back, without runtime roles, IDs, classes and media
+	 *
+	 * Lets `destroyAll()` followed by `initAll()` start from the same state
+	 * as the first page load.
 	 */
-	clearTimer() {
-		if ( this.timeoutId ) {
-			clearTimeout( this.timeoutId );
-			this.timeoutId = null;
+	restoreMarkup() {
+		this.clearActiveItem();
+		this.items.forEach( ( item ) =>
+			item.classList.remove( CONFIG.SELECTORS.VIDEO_TIMED_CLASS )
+		);
+
+		this.headerButtons.forEach( ( button ) => {
+			if ( button ) {
+				[
+					'type',
+					'aria-controls',
+					'aria-expanded',
+					'tabindex',
+				].forEach( ( name ) => button.removeAttribute( name ) );
+			}
+		} );
+
+		this.items.forEach( ( item ) => {
+			const content = item.querySelector( CONFIG.SELECTORS.ITEM_CONTENT );
+			content?.removeAttribute( 'role' );
+			content?.removeAttribute( 'aria-labelledby' );
+		} );
+
+		if ( this.mediaContainer ) {
+			this.mediaContainer.innerHTML = this.savedMarkup.media;
+			this.mediaContainer.removeAttribute( 'role' );
+			this.mediaContainer.removeAttribute( 'aria-labelledby' );
+			this.mediaContainer.removeAttribute( 'data-direction' );
+			this.mediaContainer.style.removeProperty( '--drag-offset' );
+		}
+
+		if ( this.pauseButton ) {
+			this.pauseButton.innerHTML = this.savedMarkup.pauseButton;
+			if ( this.savedMarkup.pauseLabel !== null ) {
+				this.pauseButton.setAttribute(
+					'aria-label',
+					this.savedMarkup.pauseLabel
+				);
+			}
 		}
+
+		this.generatedIds.forEach( ( element ) =>
+			element.removeAttribute( 'id' )
+		);
+		this.generatedIds = [];
+
+		delete this.accordion.dataset.mode;
 	}
 
 	/**
 	 * Destroy the accordion instance
 	 */
 	destroy() {
-		this.clearTimer();
+		AccordionClock.remove( this );
+		this.unbindVideoTiming();
+		this.cancelMediaUpdate();
+		this.preloader.clear();
+		this.unbindEmbed();
+		clearTimeout( this.leaveTimer );
+
+		if ( this.soundButton ) {
+			this.soundButton.remove();
+			this.soundButton = null;
+		}
+
+		if ( this.caption ) {
+			this.caption.remove();
+			this.caption = null;
+		}
+
+		if ( this.mediaLink ) {
+			this.mediaLink.remove();
+			this.mediaLink = null;
+		}
+
+		if ( this.expandButton ) {
+			this.expandButton.remove();
+			this.expandButton = null;
+		}
+
+		if ( this.lightbox ) {
+			this.destroyLightboxPlayer();
+			this.lightbox.destroy();
+			this.lightbox = null;
+		}
+
+		if ( this.fullscreenVideo ) {
+			const video = this.fullscreenVideo;
+			this.fullscreenVideo = null;
+			if ( document.fullscreenElement === video ) {
+				document.exitFullscreen().catch( () => {} );
+			}
+		}
+
+		this.stripMedia.forEach( ( strip ) => strip && strip.remove() );
+		this.stripMedia = [];
+		this.removeInlineMedia();
+		if ( this.mediaContainer && this.mediaHome ) {
+			this.mediaHome.prepend( this.mediaContainer );
+		}
 
 		// Remove event listeners
 		if ( this.accordion ) {
 			this.accordion.removeEventListener( 'click', this.handleClick );
+			this.accordion.removeEventListener( 'keydown', this.handleKeydown );
+			this.accordion.removeEventListener(
+				'pointerenter',
+				this.handlePointerEnter
+			);
+			this.accordion.removeEventListener(
+				'pointerleave',
+				this.handlePointerLeave
+			);
+			this.accordion.removeEventListener( 'focusin', this.handleFocusIn );
+			this.accordion.removeEventListener(
+				'focusout',
+				this.handleFocusOut
+			);
 		}
 
-		this.items.forEach( ( item ) =>
+		clearTimeout( this.hoverTimer );
+		this.items.forEach( ( item ) => {
 			item.removeEventListener(
-				'mouseenter',
-				this.handleMouseEnterItem.bind( this )
-			)
-		);
+				'pointerenter',
+				this.handleItemPointerEnter
+			);
+			item.removeEventListener(
+				'pointerleave',
+				this.handleItemPointerLeave
+			);
+		} );
 
-		window.removeEventListener(
-			'orientationchange',
-			this.handleOrientationChange
+		window.removeEventListener( 'hashchange', this.handleHashChange );
+		this.reducedMotionQuery.removeEventListener(
+			'change',
+			this.handleReducedMotionChange
 		);
-		window.removeEventListener( 'resize', this.handleOrientationChange );
 
-		// Unregister from global visibility manager
+		// Unregister from global visibility and resize managers
 		AccordionVisibilityManager.unregister( this );
-
-		// Destroy slider
-		if ( this.slider ) {
-			this.slider.destroy();
-			this.slider = null;
+		AccordionVisibilityManager.unobserveTriggers( this );
+		AccordionResizeManager.unregister( this );
+		AccordionRegistry.unregister( this );
+
+		// Destroy slider and swipe handling
+		this.destroySlider();
+		if ( this.swipeHandler ) {
+			this.swipeHandler.destroy();
+			this.swipeHandler = null;
 		}
 
-		// Clear timeout
-		if ( this.resizeTimeout ) {
-			clearTimeout( this.resizeTimeout );
-			this.resizeTimeout = null;
-		}
+		// Drop a pending debounced resize call
+		this.handleResize.cancel();
+
+		this.restoreMarkup();
+
+		this.dispatch( CONFIG.EVENTS.DESTROY );
 	}
 }
@@ -0,0 +1,127 @@
+/**
+ * Media Preloader
+ *
+ * Imports item media templates into the live document ahead of time, so the
+ * next image is downloaded and decoded, and the next video buffered, before
+ * the accordion switches to it.
+ *
+ * @since 2.2.0
+ */
+
+import { CONFIG } from './constants';
+
+/**
+ * Wait until media can be shown without blank frames
+ * @param {HTMLElement|null} media - Image or video element
+ * @return {Promise} Resolves when ready, on error, or after MEDIA_READY_TIMEOUT
+ */
+function whenReady( media ) {
+	let ready = Promise.resolve();
+
+	if ( media && media.tagName === 'IMG' && media.decode ) {
+		ready = media.decode();
+	} else if ( media && media.tagName === 'VIDEO' ) {
+		media.preload = 'auto';
+		media.muted = media.defaultMuted;
+
+		if ( media.readyState < 4 ) {
+			ready = new Promise( ( resolve ) => {
+				media.addEventListener( 'canplaythrough', resolve, {
+					once: true,
+				} );
+				media.addEventListener( 'error', resolve, { once: true } );
+			} );
+			media.load();
+		}
+	}
+
+	// A slow network must not hold the accordion on the previous item forever
+	const timeout = new Promise( ( resolve ) =>
+		setTimeout( resolve, CONFIG.DEFAULTS.MEDIA_READY_TIMEOUT )
+	);
+
+	return Promise.race( [ ready.catch( () => {} ), timeout ] );
+}
+
+/**
+ * Stop a prepared video from downloading any further
+ * @param {HTMLElement|null} media - Image or video element
+ */
+function release( media ) {
+	if ( media && media.tagName === 'VIDEO' ) {
+		media.removeAttribute( 'src' );
+		media.load();
+	}
+}
+
+/**
+ * Creates a preloader for a list of media templates.
+ *
+ * @param {Array<HTMLTemplateElement|null>} templates - Media template of each item, by index
+ *
+ * @return {Object} Preloader with `preload( index )`, `take( index )` and `clear()` methods
+ *
+ * @example
+ * const preloader = createMediaPreloader( templates );
+ * preloader.preload( 1 );
+ * const { fragment, media, ready } = preloader.take( 1 );
+ * ready.then( () => container.replaceChildren( fragment ) );
+ */
+export function createMediaPreloader( templates ) {
+	const prepared = new Map();
+
+	const prepare = ( index ) => {
+		const template = templates[ index ];
+		if ( ! template || ! template.content ) {
+			return null;
+		}
+
+		// importNode adopts the media into the live document so it starts
+		// loading, template content is inert
+		const fragment = document.importNode( template.content, true );
+		const media = fragment.querySelector( 'img, video' );
+
+		return { fragment, media, ready: whenReady( media ) };
+	};
+
+	return {
+		/**
+		 * Start loading an item's media, dropping any other prepared media
+		 * @param {number} index - Item index
+		 */
+		preload( index ) {
+			prepared.forEach( ( entry, key ) => {
+				if ( key !== index ) {
+					release( entry.media );
+					prepared.delete( key );
+				}
+			} );
+
+			if ( ! prepared.has( index ) ) {
+				const entry = prepare( index );
+				if ( entry ) {
+					prepared.set( index, entry );
+				}
+			}
+		},
+
+		/**
+		 * Get an item's media for display, preloaded or not
+		 * @param {number} index - Item index
+		 * @return {Object|null} Fragment, media element and ready promise, or null without a template
+		 */
+		take( index ) {
+			const entry = prepared.get( index ) || prepare( index );
+			prepared.delete( index );
+			return entry;
+		},
+
+		/**
+		 * Drop all prepared media
+		 */
+		clear() {
+			prepared.forEach( ( entry ) => release( entry.media ) );
+			prepared.clear();
+		},
+	};
+}
@@ -1,105 +1,208 @@
 /**
  * Navigation Plugin for KeenSlider
  *
- * Creates a navigation plugin for a slider with dot indicators.
- * This plugin adds navigation dots below the slider that allow users to jump
- * directly to specific slides. The active dot is highlighted to indicate the
- * current slide position.
+ * Creates a navigation plugin for a slider with dot indicators, and optional
+ * previous/next arrows, a thumbnail strip and an "N / total" counter.
+ * Dots, arrows and thumbnails are real buttons, and the control for the
+ * current slide is marked with `aria-current`.
  *
  * @since 1.0.0
  */
 
+const ARROW_ICON_PATHS = {
+	prev: 'M14.6 7l-1.2-1L8 12l5.4 6 1.2-1-4.6-5z',
+	next: 'M10.6 6L9.4 7l4.6 5-4.6 5 1.2 1 5.4-6z',
+};
+
 /**
- * Creates a navigation plugin for a slider with dot indicators.
+ * Creates a navigation plugin for a slider.
+ *
+ * @param {Object}   [options]              - Which navigation elements to show
+ * @param {boolean}  [options.dots=true]    - Show a dot button per slide
+ * @param {boolean}  [options.arrows]       - Show previous and next buttons
+ * @param {boolean}  [options.counter]      - Show the current slide number and the total
+ * @param {Function} [options.getThumbnail] - Returns the thumbnail element for a slide index, enables the thumbnail strip
  *
- * @param {Object}      slider                      - The slider instance to add navigation to
- * @param {HTMLElement} slider.container            - The main slider container element
- * @param {HTMLElement} slider.track                - The slider track element
- * @param {Object}      slider.track.details        - Track details object
- * @param {Array}       slider.track.details.slides - Array of slide objects
- * @param {number}      slider.track.details.rel    - Current active slide index
- * @param {Function}    slider.moveToIdx            - Function to move to a specific slide index
- * @param {Function}    slider.on                   - Function to register event listeners
+ * @return {Function} KeenSlider plugin
  *
  * @example
  * // Initialize slider with navigation plugin
- * const slider = new KeenSlider('.slider');
- * createNavigationPlugin(slider);
+ * const slider = new KeenSlider( '.slider', {}, [
+ *     createNavigationPlugin( { arrows: true, counter: true } ),
+ * ] );
  *
  * @since 1.0.0
  */
-export function createNavigationPlugin( slider ) {
-	let wrapper, dots;
+export function createNavigationPlugin( options = {} ) {
+	const { dots: showDots = true, arrows, counter, getThumbnail } = options;
 
-	const createDiv = ( className ) => {
-		const div = document.createElement( 'div' );
-		className.split( ' ' ).forEach( ( name ) => div.classList.add( name ) );
-		return div;
-	};
+	return ( slider ) => {
+		let wrapper, controls, dots, thumbnails, prevArrow, nextArrow, count;
 
-	const removeElement = ( element ) => {
-		if ( element && element.parentNode ) {
-			element.parentNode.removeChild( element );
-		}
-	};
+		const createElement = ( tagName, className ) => {
+			const element = document.createElement( tagName );
+			className
+				.split( ' ' )
+				.forEach( ( name ) => element.classList.add( name ) );
+			if ( tagName === 'button' ) {
+				element.type = 'button';
+			}
+			return element;
+		};
 
-	const createWrapper = ( remove = false ) => {
-		if ( remove ) {
-			if ( wrapper ) {
-				const parent = wrapper.parentNode;
-				while ( wrapper.firstChild ) {
-					parent.insertBefore( wrapper.firstChild, wrapper );
+		const removeElement = ( element ) => {
+			if ( element && element.parentNode ) {
+				element.parentNode.removeChild( element );
+			}
+		};
+
+		const getSlideCount = () => slider.track.details.slides.length;
+
+		const createWrapper = ( remove = false ) => {
+			if ( remove ) {
+				if ( wrapper ) {
+					const parent = wrapper.parentNode;
+					while ( wrapper.firstChild ) {
+						parent.insertBefore( wrapper.firstChild, wrapper );
+					}
+					removeElement( wrapper );
 				}
-				removeElement( wrapper );
+				return;
 			}
-			return;
-		}
-		wrapper = createDiv( 'keen-slider_navigation-wrapper' );
-		slider.container.parentNode.appendChild( wrapper );
-		wrapper.appendChild( slider.container );
-	};
+			wrapper = createElement( 'div', 'keen-slider_navigation-wrapper' );
+			slider.container.parentNode.appendChild( wrapper );
+			wrapper.appendChild( slider.container );
+		};
 
-	const createDots = ( remove = false ) => {
-		if ( remove ) {
-			removeElement( dots );
-			return;
-		}
-		dots = createDiv( 'dots' );
-		slider.track.details.slides.forEach( ( _, idx ) => {
-			const dot = createDiv( 'dot' );
-			dot.addEventListener( 'click', () => slider.moveToIdx( idx ) );
-			dots.appendChild( dot );
-		} );
-		wrapper.appendChild( dots );
-	};
+		// One button per slide, used by the dots and the thumbnails
+		const createSlideButtons = ( className, buttonClassName, render ) => {
+			const list = createElement( 'div', className );
+			slider.track.details.slides.forEach( ( _, idx ) => {
+				const button = createElement( 'button', buttonClassName );
+				button.setAttribute( 'aria-label', `Go to item ${ idx + 1 }` );
+				button.addEventListener( 'click', () =>
+					slider.moveToIdx( idx )
+				);
+				render( button, idx );
+				list.appendChild( button );
+			} );
+			return list;
+		};
 
-	const updateDots = () => {
-		if ( ! dots ) {
-			return;
-		}
-		const activeSlide = slider.track.details.rel;
-		Array.from( dots.children ).forEach( ( dot, idx ) => {
-			dot.classList.toggle( 'dot--active', idx === activeSlide );
-		} );
-	};
+		const createArrow = ( direction ) => {
+			const button = createElement(
+				'button',
+				`arrow arrow--${ direction }`
+			);
+			button.setAttribute(
+				'aria-label',
+				direction === 'prev' ? 'Previous item' : 'Next item'
+			);
+			button.innerHTML = `<svg width="24" height="24" viewBox="0 0 24 24" role="presentation" focusable="false" xmlns="http://www.w3.org/2000/svg"><path d="${ ARROW_ICON_PATHS[ direction ] }"></path></svg>`;
+			button.addEventListener( 'click', () =>
+				direction === 'prev' ? slider.prev() : slider.next()
+			);
+			return button;
+		};
 
-	const createMarkup = ( remove = false ) => {
-		createWrapper( remove );
-		createDots( remove );
-	};
+		const createControls = ( remove = false ) => {
+			if ( remove ) {
+				removeElement( thumbnails );
+				removeElement( controls );
+				return;
+			}
+
+			if ( getThumbnail ) {
+				thumbnails = createSlideButtons(
+					'thumbnails',
+					'thumbnail',
+					( button, idx ) => {
+						const thumbnail = getThumbnail( idx );
+						if ( thumbnail ) {
+							thumbnail.classList.add( 'thumbnail-media' );
+							button.appendChild( thumbnail );
+						}
+					}
+				);
+				wrapper.appendChild( thumbnails );
+			}
+
+			controls = createElement( 'div', 'controls' );
+
+			if ( arrows ) {
+				prevArrow = createArrow( 'prev' );
+				controls.appendChild( prevArrow );
+			}
+
+			if ( showDots ) {
+				dots = createSlideButtons( 'dots', 'dot', () => {} );
+				controls.appendChild( dots );
+			}
+
+			if ( counter ) {
+				count = createElement( 'div', 'counter' );
+				controls.appendChild( count );
+			}
 
-	// Event listeners
-	slider.on( 'created', () => {
-		createMarkup();
-		updateDots();
-	} );
+			if ( arrows ) {
+				nextArrow = createArrow( 'next' );
+				controls.appendChild( nextArrow );
+			}
+
+			wrapper.appendChild( controls );
+		};
 
-	slider.on( 'optionsChanged', () => {
-		createMarkup( true );
-		createMarkup();
-		updateDots();
-	} );
+		const updateControls = () => {
+			const activeSlide = slider.track.details.rel;
 
-	slider.on( 'slideChanged', updateDots );
-	slider.on( 'destroyed', () => createMarkup( true ) );
+			[ dots, thumbnails ].forEach( ( list ) => {
+				if ( ! list ) {
+					return;
+				}
+				Array.from( list.children ).forEach( ( button, idx ) => {
+					const isActive = idx === activeSlide;
+					button.classList.toggle(
+						`${ button.classList[ 0 ] }--active`,
+						isActive
+					);
+					if ( isActive ) {
+						button.setAttribute( 'aria-current', 'true' );
+					} else {
+						button.removeAttribute( 'aria-current' );
+					}
+				} );
+			} );
+
+			if ( prevArrow ) {
+				prevArrow.disabled = activeSlide === 0;
+				nextArrow.disabled = activeSlide === getSlideCount() - 1;
+			}
+
+			if ( count ) {
+				count.textContent = `${
+					activeSlide + 1
+				} / ${ getSlideCount() }`;
+			}
+		};
+
+		const createMarkup = ( remove = false ) => {
+			createWrapper( remove );
+			createControls( remove );
+		};
+
+		// Event listeners
+		slider.on( 'created', () => {
+			createMarkup();
+			updateControls();
+		} );
+
+		slider.on( 'optionsChanged', () => {
+			createMarkup( true );
+			createMarkup();
+			updateControls();
+		} );
+
+		slider.on( 'slideChanged', updateControls );
+		slider.on( 'destroyed', () => createMarkup( true ) );
+	};
 }
@@ -0,0 +1,74 @@
+/**
+ * @typedef {import('./media-accordion').MediaAccordion} MediaAccordion
+ */
+
+/**
+ * Accordion Registry
+ *
+ * Keeps track of every initialized accordion so theme code can reach the
+ * instances by element or by the block's `uid` class.
+ *
+ * @since 2.2.0
+ */
+
+export const AccordionRegistry = {
+	instances: new Map(),
+
+	/**
+	 * Register an accordion instance
+	 * @param {MediaAccordion} accordion - The accordion instance
+	 */
+	register( accordion ) {
+		this.instances.set( accordion.accordion, accordion );
+	},
+
+	/**
+	 * Unregister an accordion instance
+	 * @param {MediaAccordion} accordion - The accordion instance
+	 */
+	unregister( accordion ) {
+		if ( this.instances.get( accordion.accordion ) === accordion ) {
+			this.instances.delete( accordion.accordion );
+		}
+	},
+
+	/**
+	 * Find an accordion instance
+	 * @param {HTMLElement|string} target - Accordion element (or any element inside it), or the block uid
+	 * @return {MediaAccordion|null} The accordion instance, if any
+	 */
+	get( target ) {
+		if ( typeof target === 'string' ) {
+			for ( const accordion of this.instances.values() ) {
+				if ( accordion.uid === target ) {
+					return accordion;
+				}
+			}
+			return null;
+		}
+
+		if ( ! target ) {
+			return null;
+		}
+
+		if ( this.instances.has( target ) ) {
+			return this.instances.get( target );
+		}
+
+		for ( const [ element, accordion ] of this.instances ) {
+			if ( element.contains( target ) ) {
+				return accordion;
+			}
+		}
+
+		return null;
+	},
+
+	/**
+	 * Get all registered accordion instances
+	 * @return {MediaAccordion[]} Accordion instances in registration order
+	 */
+	getAll() {
+		return Array.from( this.instances.values() );
+	},
+};
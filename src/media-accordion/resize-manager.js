@@ -0,0 +1,68 @@
+/* global ResizeObserver */
+
+/**
+ * @typedef {import('./media-accordion').MediaAccordion} MediaAccordion
+ */
+
+/**
+ * Accordion Resize Manager
+ *
+ * Global resize manager that uses a single ResizeObserver to report the
+ * width of every accordion, so each block can switch between the desktop
+ * accordion and the slider based on its own size rather than the viewport.
+ *
+ * @since 2.2.0
+ */
+
+export const AccordionResizeManager = {
+	observer: null,
+	accordions: new Map(),
+
+	/**
+	 * Initialize the global observer
+	 */
+	init() {
+		if ( ! this.observer ) {
+			this.observer = new ResizeObserver( ( entries ) => {
+				entries.forEach( ( entry ) => {
+					const accordion = this.accordions.get( entry.target );
+					if ( accordion ) {
+						accordion.onResize( entry.contentRect.width );
+					}
+				} );
+			} );
+		}
+	},
+
+	/**
+	 * Register an accordion for resize monitoring
+	 * @param {MediaAccordion} accordion - The accordion instance
+	 */
+	register( accordion ) {
+		this.init();
+		this.accordions.set( accordion.accordion, accordion );
+		this.observer.observe( accordion.accordion );
+	},
+
+	/**
+	 * Unregister an accordion from resize monitoring
+	 * @param {MediaAccordion} accordion - The accordion instance
+	 */
+	unregister( accordion ) {
+		if ( this.observer && this.accordions.has( accordion.accordion ) ) {
+			this.observer.unobserve( accordion.accordion );
+			this.accordions.delete( accordion.accordion );
+		}
+	},
+
+	/**
+	 * Destroy the global observer
+	 */
+	destroy() {
+		if ( this.observer ) {
+			this.observer.disconnect();
+			this.observer = null;
+			this.accordions.clear();
+		}
+	},
+};
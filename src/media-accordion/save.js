@@ -5,6 +5,41 @@
  * @see https://developer.wordpress.org/block-editor/reference-guides/packages/packages-block-editor/#useblockprops
  */
 import { useBlockProps, InnerBlocks } from '@wordpress/block-editor';
+import { DEFAULT_ASPECT_RATIO, getAspectRatioValue } from './aspect-ratio';
+
+const NAV_ICON_PATHS = {
+	prev: 'M14.6 7l-1.2-1L8 12l5.4 6 1.2-1-4.6-5z',
+	next: 'M10.6 6L9.4 7l4.6 5-4.6 5 1.2 1 5.4-6z',
+};
+
+/**
+ * Renders a previous or next button for the media pane.
+ *
+ * @param {string} baseClass - Block base class name
+ * @param {string} direction - Either 'prev' or 'next'
+ *
+ * @return {JSX.Element} The navigation button markup
+ */
+function renderNavButton( baseClass, direction ) {
+	return (
+		<button
+			type="button"
+			aria-label={ direction === 'prev' ? 'Previous item' : 'Next item' }
+			className={ `${ baseClass }_nav-btn ${ baseClass }_nav-btn--${ direction }` }
+		>
+			<svg
+				width="24"
+				height="24"
+				viewBox="0 0 24 24"
+				role="presentation"
+				focusable="false"
+				xmlns="http://www.w3.org/2000/svg"
+			>
+				<path d={ NAV_ICON_PATHS[ direction ] }></path>
+			</svg>
+		</button>
+	);
+}
 
 /**
  * Save function for the active accordion block component.
@@ -16,17 +51,91 @@ import { useBlockProps, InnerBlocks } from '@wordpress/block-editor';
  * @return {JSX.Element} The saved block markup with nested content blocks and media controls
  */
 export default function save( { attributes } ) {
+	const sliderNavigation = [
+		attributes.sliderDots && 'dots',
+		attributes.sliderArrows && 'arrows',
+		attributes.sliderThumbnails && 'thumbnails',
+		attributes.sliderCounter && 'counter',
+	]
+		.filter( Boolean )
+		.join( ' ' );
+	const aspectRatio =
+		attributes.mediaAspectRatio !== DEFAULT_ASPECT_RATIO
+			? getAspectRatioValue( attributes.mediaAspectRatio )
+			: null;
 	const blockProps = useBlockProps.save( {
 		className: `${ attributes.uid } is-${
 			attributes.layout || 'layout-1'
 		}`,
 		'data-autoplay': attributes.autoplay ? 'true' : 'false',
 		'data-has-default-media': attributes.defaultMediaId ? 'true' : 'false',
-		style: attributes.activeItemBgColor
-			? { '--active-item-bg-color': attributes.activeItemBgColor }
-			: {},
+		'data-deep-linking': attributes.deepLinking ? 'true' : undefined,
+		'data-deep-link-scroll': attributes.deepLinkScroll ? 'true' : undefined,
+		'data-loop-mode':
+			attributes.loopMode && attributes.loopMode !== 'loop'
+				? attributes.loopMode
+				: undefined,
+		'data-loop-count':
+			attributes.loopMode === 'cycles' ? attributes.loopCount : undefined,
+		'data-breakpoint': attributes.breakpoint || undefined,
+		'data-media-fit': attributes.mediaFit || undefined,
+		'data-mobile-behavior':
+			attributes.mobileBehavior &&
+			attributes.mobileBehavior !== 'carousel'
+				? attributes.mobileBehavior
+				: undefined,
+		'data-activate-on': attributes.activateOn || undefined,
+		'data-hover-delay':
+			attributes.activateOn === 'hover' &&
+			attributes.hoverDelay !== undefined
+				? attributes.hoverDelay
+				: undefined,
+		'data-leave-behavior':
+			attributes.activateOn === 'hover' &&
+			attributes.leaveBehavior &&
+			attributes.leaveBehavior !== 'stay'
+				? attributes.leaveBehavior
+				: undefined,
+		'data-lightbox': attributes.lightbox ? 'true' : undefined,
+		'data-scroll': attributes.scrollDriven ? 'true' : undefined,
+		'data-scroll-scrub':
+			attributes.scrollDriven && attributes.scrollScrub
+				? 'true'
+				: undefined,
+		'data-slider-navigation':
+			sliderNavigation !== 'dots' ? sliderNavigation : undefined,
+		'data-transition':
+			attributes.transition && attributes.transition !== 'crossfade'
+				? attributes.transition
+				: undefined,
+		'data-media-position':
+			attributes.mediaPosition && attributes.mediaPosition !== 'right'
+				? attributes.mediaPosition
+				: undefined,
+		'data-vertical-alignment':
+			attributes.verticalAlignment &&
+			attributes.verticalAlignment !== 'center'
+				? attributes.verticalAlignment
+				: undefined,
+		style: {
+			...( attributes.activeItemBgColor && {
+				'--active-item-bg-color': attributes.activeItemBgColor,
+			} ),
+			...( attributes.transitionDuration !== undefined &&
+				attributes.transitionDuration !== 500 && {
+					'--transition-duration': `${ attributes.transitionDuration }ms`,
+				} ),
+			...( aspectRatio && { '--media-aspect-ratio': aspectRatio } ),
+			...( attributes.contentWidth !== undefined &&
+				attributes.contentWidth !== 50 && {
+					'--content-width': `${ attributes.contentWidth }%`,
+				} ),
+		},
 	} );
 	const baseClass = blockProps.className.split( ' ' )[ 0 ];
+	const navPosition = attributes.showNavButtons
+		? attributes.navButtonsPosition || 'sides'
+		: null;
 	return (
 		<div { ...blockProps }>
 			<div className={ `${ baseClass }_content` }>
@@ -41,6 +150,12 @@ export default function save( { attributes } ) {
 						attributes.defaultMediaType === 'video' && (
 							<video
 								src={ attributes.defaultMediaUrl }
+								width={
+									attributes.defaultMediaWidth || undefined
+								}
+								height={
+									attributes.defaultMediaHeight || undefined
+								}
 								className="skip-lazy"
 							/>
 						) }
@@ -48,13 +163,28 @@ export default function save( { attributes } ) {
 						attributes.defaultMediaType === 'image' && (
 							<img
 								src={ attributes.defaultMediaUrl }
-								alt=""
+								alt={ attributes.defaultMediaAlt || '' }
+								width={
+									attributes.defaultMediaWidth || undefined
+								}
+								height={
+									attributes.defaultMediaHeight || undefined
+								}
 								className="skip-lazy"
 							/>
 						) }
 				</div>
 
+				{ navPosition === 'sides' && (
+					<div className={ `${ baseClass }_nav` }>
+						{ renderNavButton( baseClass, 'prev' ) }
+						{ renderNavButton( baseClass, 'next' ) }
+					</div>
+				) }
+
 				<div className={ `${ baseClass }_pause-btn-container` }>
+					{ navPosition === 'controls' &&
+						renderNavButton( baseClass, 'prev' ) }
 					<button
 						aria-label="Pause"
 						aria-disabled="false"
@@ -82,6 +212,8 @@ export default function save( { attributes } ) {
 							</svg>
 						</span>
 					</button>
+					{ navPosition === 'controls' &&
+						renderNavButton( baseClass, 'next' ) }
 				</div>
 			</div>
 		</div>
@@ -0,0 +1,167 @@
+/**
+ * Swipe Handler
+ *
+ * Pointer-event swipe and drag detection for the media pane in desktop
+ * layouts, where KeenSlider is not active. Vertical movement is left to the
+ * browser so the page keeps scrolling.
+ *
+ * @since 2.2.0
+ */
+
+import { CONFIG } from './constants';
+
+/**
+ * Creates a horizontal swipe handler for an element.
+ *
+ * @param {HTMLElement} element             - The element to listen on
+ * @param {Object}      callbacks           - Gesture callbacks
+ * @param {Function}    callbacks.isEnabled - Returns false to ignore new gestures
+ * @param {Function}    callbacks.onStart   - Called once the pointer has moved far enough sideways to drag
+ * @param {Function}    callbacks.onMove    - Called with the horizontal offset while dragging
+ * @param {Function}    callbacks.onEnd     - Called after a drag with the final offset, or 0 when cancelled
+ *
+ * @return {Object} Handler with a `destroy()` method
+ *
+ * @example
+ * const swipe = createSwipeHandler( mediaWrap, {
+ *     isEnabled: () => true,
+ *     onStart: () => {},
+ *     onMove: ( offset ) => {},
+ *     onEnd: ( offset ) => {},
+ * } );
+ * swipe.destroy();
+ */
+export function createSwipeHandler( element, callbacks ) {
+	let pointerId = null;
+	let startX = 0;
+	let startY = 0;
+	let offset = 0;
+	let isHorizontal = false;
+	let suppressClick = false;
+
+	const reset = () => {
+		pointerId = null;
+		offset = 0;
+		isHorizontal = false;
+		element.classList.remove( CONFIG.SELECTORS.DRAGGING_CLASS );
+		element.ownerDocument.removeEventListener(
+			'pointerup',
+			handlePointerUp
+		);
+		element.ownerDocument.removeEventListener(
+			'pointercancel',
+			handlePointerCancel
+		);
+	};
+
+	const finish = ( isComplete ) => {
+		if ( pointerId === null ) {
+			return;
+		}
+
+		const wasDragging = isHorizontal;
+		const finalOffset = isComplete ? offset : 0;
+		suppressClick = wasDragging;
+		reset();
+
+		// Plain clicks and vertical scrolls never started a drag
+		if ( wasDragging ) {
+			callbacks.onEnd( finalOffset );
+		}
+	};
+
+	const handlePointerUp = ( e ) => {
+		if ( e.pointerId === pointerId ) {
+			finish( true );
+		}
+	};
+
+	const handlePointerCancel = ( e ) => {
+		if ( e.pointerId === pointerId ) {
+			finish( false );
+		}
+	};
+
+	const handlePointerDown = ( e ) => {
+		if (
+			pointerId !== null ||
+			! e.isPrimary ||
+			e.button !== 0 ||
+			! callbacks.isEnabled()
+		) {
+			return;
+		}
+
+		pointerId = e.pointerId;
+		startX = e.clientX;
+		startY = e.clientY;
+		suppressClick = false;
+
+		// The pointer is only captured once it drags, so a press released
+		// outside the element has to be heard on the document
+		element.ownerDocument.addEventListener( 'pointerup', handlePointerUp );
+		element.ownerDocument.addEventListener(
+			'pointercancel',
+			handlePointerCancel
+		);
+	};
+
+	const handlePointerMove = ( e ) => {
+		if ( e.pointerId !== pointerId ) {
+			return;
+		}
+
+		const dx = e.clientX - startX;
+		const dy = e.clientY - startY;
+
+		// Decide the direction once the pointer has moved far enough
+		if ( ! isHorizontal ) {
+			if (
+				Math.max( Math.abs( dx ), Math.abs( dy ) ) <
+				CONFIG.DEFAULTS.SWIPE_LOCK_DISTANCE
+			) {
+				return;
+			}
+
+			if ( Math.abs( dy ) > Math.abs( dx ) ) {
+				finish( false );
+				return;
+			}
+
+			isHorizontal = true;
+			element.setPointerCapture( pointerId );
+			element.classList.add( CONFIG.SELECTORS.DRAGGING_CLASS );
+			callbacks.onStart();
+		}
+
+		offset = dx;
+		callbacks.onMove( offset );
+	};
+
+	// A drag must not also count as a click on the media
+	const handleClick = ( e ) => {
+		if ( suppressClick ) {
+			suppressClick = false;
+			e.preventDefault();
+			e.stopPropagation();
+		}
+	};
+
+	// Stop the browser's native image drag from taking over mouse drags
+	const handleDragStart = ( e ) => e.preventDefault();
+
+	element.addEventListener( 'pointerdown', handlePointerDown );
+	element.addEventListener( 'pointermove', handlePointerMove );
+	element.addEventListener( 'click', handleClick, true );
+	element.addEventListener( 'dragstart', handleDragStart );
+
+	return {
+		destroy() {
+			finish( false );
+			element.removeEventListener( 'pointerdown', handlePointerDown );
+			element.removeEventListener( 'pointermove', handlePointerMove );
+			element.removeEventListener( 'click', handleClick, true );
+			element.removeEventListener( 'dragstart', handleDragStart );
+		},
+	};
+}
@@ -6,25 +6,70 @@
 
 export const Utils = {
 	/**
-	 * Check if screen has min-aspect-ratio: 1/1 (landscape or square)
-	 * @return {boolean} True if aspect ratio is 1/1 or wider
+	 * Check if the user asked the system to minimize non-essential motion
+	 * @return {boolean} True if prefers-reduced-motion is set to reduce
 	 */
-	isLandscapeOrSquare() {
-		return window.matchMedia( '(min-aspect-ratio: 1/1)' ).matches;
+	prefersReducedMotion() {
+		return window.matchMedia( '(prefers-reduced-motion: reduce)' ).matches;
+	},
+
+	/**
+	 * Check if the visitor asked the browser to reduce data usage
+	 * @return {boolean} True if the Save-Data preference is on
+	 */
+	prefersSaveData() {
+		return !! window.navigator.connection?.saveData;
 	},
 
 	/**
 	 * Debounce function execution
 	 * @param {Function} func  - Function to debounce
 	 * @param {number}   delay - Delay in milliseconds
-	 * @return {Function} Debounced function
+	 * @return {Function} Debounced function, with a `cancel()` method to drop a pending call
 	 */
 	debounce( func, delay ) {
 		let timeoutId;
-		return function ( ...args ) {
+		const debounced = function ( ...args ) {
 			clearTimeout( timeoutId );
 			timeoutId = setTimeout( () => func.apply( this, args ), delay );
 		};
+		debounced.cancel = () => clearTimeout( timeoutId );
+		return debounced;
+	},
+
+	/**
+	 * Shuffle an array in place (Fisher-Yates)
+	 * @param {Array} array - Array to shuffle
+	 * @return {Array} The same array, shuffled
+	 */
+	shuffle( array ) {
+		for ( let i = array.length - 1; i > 0; i-- ) {
+			const j = Math.floor( Math.random() * ( i + 1 ) );
+			[ array[ i ], array[ j ] ] = [ array[ j ], array[ i ] ];
+		}
+		return array;
+	},
+
+	/**
+	 * Resolve a link URL saved in the markup, refusing script URLs
+	 * @param {string} url - URL as entered in the editor
+	 * @return {string|null} Absolute URL for http(s), mailto and tel links, otherwise null
+	 */
+	getSafeUrl( url ) {
+		if ( ! url ) {
+			return null;
+		}
+
+		try {
+			const resolved = new URL( url, window.location.href );
+			return [ 'http:', 'https:', 'mailto:', 'tel:' ].includes(
+				resolved.protocol
+			)
+				? resolved.href
+				: null;
+		} catch ( error ) {
+			return null;
+		}
 	},
 
 	/**
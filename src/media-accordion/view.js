@@ -7,29 +7,56 @@
  * - Pause/resume functionality
  * - Media content display
  * - KeenSlider integration for mobile devices
+ * - Public API exposed as `window.srgMediaAccordion`
+ * - Automatic init/teardown of accordions added or removed after load
+ *
+ * @example
+ * // Control an accordion from theme code
+ * window.srgMediaAccordion.get( 'accordion-1a2b3c4d' ).next();
+ *
+ * // Start accordions inside markup inserted without DOM mutations being observed
+ * window.srgMediaAccordion.initAll( modalElement );
+ *
+ * // React to item changes
+ * document.addEventListener( 'mediaaccordion:change', ( e ) => {
+ *     console.log( e.detail.index, e.detail.item );
+ * } );
  *
  * @see https://developer.wordpress.org/block-editor/reference-guides/block-api/block-metadata/#view-script
  */
 
 import 'keen-slider/keen-slider.min.css';
-import { CONFIG } from './constants';
-import { MediaAccordion } from './media-accordion';
 import { AccordionVisibilityManager } from './visibility-manager';
+import { AccordionResizeManager } from './resize-manager';
+import { AccordionRegistry } from './registry';
+import { AccordionLifecycleManager } from './lifecycle-manager';
 
 /**
- * Initialize all accordions on the page
+ * Initialize all accordions on the page and watch for later changes
  */
 function initializeAccordions() {
-	const accordions = document.querySelectorAll( CONFIG.SELECTORS.ACCORDION );
-	accordions.forEach( ( accordion ) => {
-		new MediaAccordion( accordion );
-	} );
+	AccordionLifecycleManager.initAll();
+	AccordionLifecycleManager.observe();
 }
 
+// Expose instances to theme code
+window.srgMediaAccordion = {
+	get: ( target ) => AccordionRegistry.get( target ),
+	getAll: () => AccordionRegistry.getAll(),
+	initAll: ( root ) => AccordionLifecycleManager.initAll( root ),
+	destroyAll: ( root ) => AccordionLifecycleManager.destroyAll( root ),
+};
+
 // Initialize when DOM is ready
-document.addEventListener( 'DOMContentLoaded', initializeAccordions );
+if ( document.readyState === 'loading' ) {
+	document.addEventListener( 'DOMContentLoaded', initializeAccordions );
+} else {
+	initializeAccordions();
+}
 
-// Clean up global observer when page unloads
+// Clean up global observers when page unloads
 window.addEventListener( 'beforeunload', () => {
+	AccordionLifecycleManager.disconnect();
 	AccordionVisibilityManager.destroy();
+	AccordionResizeManager.destroy();
 } );
@@ -8,16 +8,20 @@
  * Accordion Visibility Manager
  *
  * Global accordion visibility manager that uses a single intersection observer
- * to monitor all accordions efficiently.
+ * to monitor all accordions efficiently. A second observer watches item
+ * headers crossing the scroll trigger line for scroll-driven accordions.
  *
  * @since 1.0.0
  */
 
+import { CONFIG } from './constants';
 import { Utils } from './utils';
 
 export const AccordionVisibilityManager = {
 	observer: null,
 	accordions: new Map(),
+	triggerObserver: null,
+	triggers: new Map(), // Header element → accordion
 
 	/**
 	 * Initialize the global observer
@@ -71,7 +75,59 @@ export const AccordionVisibilityManager = {
 	},
 
 	/**
-	 * Destroy the global observer
+	 * Watch elements crossing the scroll trigger line
+	 *
+	 * The accordion's onScrollTrigger() is called whenever one of them
+	 * enters or leaves the part of the viewport above the line.
+	 *
+	 * @param {MediaAccordion} accordion - The accordion instance
+	 * @param {Array}          elements  - Elements to watch, usually item headers
+	 */
+	observeTriggers( accordion, elements ) {
+		if ( ! this.triggerObserver ) {
+			const line = CONFIG.DEFAULTS.SCROLL_TRIGGER_LINE * 100;
+			this.triggerObserver = new IntersectionObserver(
+				( entries ) => {
+					const accordions = new Set(
+						entries.map( ( entry ) =>
+							this.triggers.get( entry.target )
+						)
+					);
+					accordions.forEach(
+						( target ) => target && target.onScrollTrigger()
+					);
+				},
+				{
+					root: null,
+					rootMargin: `0px 0px -${ 100 - line }% 0px`,
+					threshold: 0,
+				}
+			);
+		}
+
+		elements.forEach( ( element ) => {
+			if ( element ) {
+				this.triggers.set( element, accordion );
+				this.triggerObserver.observe( element );
+			}
+		} );
+	},
+
+	/**
+	 * Stop watching an accordion's trigger elements
+	 * @param {MediaAccordion} accordion - The accordion instance
+	 */
+	unobserveTriggers( accordion ) {
+		this.triggers.forEach( ( target, element ) => {
+			if ( target === accordion ) {
+				this.triggerObserver.unobserve( element );
+				this.triggers.delete( element );
+			}
+		} );
+	},
+
+	/**
+	 * Destroy the global observers
 	 */
 	destroy() {
 		if ( this.observer ) {
@@ -79,5 +135,11 @@ export const AccordionVisibilityManager = {
 			this.observer = null;
 			this.accordions.clear();
 		}
+
+		if ( this.triggerObserver ) {
+			this.triggerObserver.disconnect();
+			this.triggerObserver = null;
+			this.triggers.clear();
+		}
 	},
 };